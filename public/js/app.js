@@ -7,6 +7,8 @@ class ReachinboxApp {
         this.totalPages = 1;
         this.currentFilters = {};
         this.currentEmail = null;
+        this.currentDraft = null;
+        this.backfillJobs = {};
         
         this.initializeEventListeners();
         this.loadInitialData();
@@ -40,8 +42,14 @@ class ReachinboxApp {
         document.getElementById('close-modal').addEventListener('click', () => this.closeEmailModal());
         document.getElementById('close-ai-modal').addEventListener('click', () => this.closeAIModal());
         document.getElementById('suggest-reply').addEventListener('click', () => this.openAIModal());
+        document.getElementById('toggle-read').addEventListener('click', () => this.toggleFlag('seen'));
+        document.getElementById('toggle-star').addEventListener('click', () => this.toggleFlag('flagged'));
+        document.getElementById('archive-email').addEventListener('click', () => this.runEmailAction('archive'));
+        document.getElementById('delete-email').addEventListener('click', () => this.runEmailAction('delete'));
         document.getElementById('regenerate-reply').addEventListener('click', () => this.generateAIReply());
         document.getElementById('copy-reply').addEventListener('click', () => this.copyAIReply());
+        document.getElementById('save-draft').addEventListener('click', () => this.saveDraft(true));
+        document.getElementById('send-reply').addEventListener('click', () => this.sendAIReply());
 
         // Click outside modal to close
         document.getElementById('email-modal').addEventListener('click', (e) => {
@@ -72,6 +80,23 @@ class ReachinboxApp {
             this.showNotification(`New email: ${email.subject}`, 'info');
             this.loadEmails(); // Refresh the list
         });
+
+        this.socket.on('email-flags-updated', (update) => {
+            this.updateEmailFlags(update);
+        });
+
+        this.socket.on('email-deleted', (update) => {
+            this.removeEmailCard(update.id);
+        });
+
+        this.socket.on('email-moved', () => {
+            this.loadEmails(); // Refresh the list
+        });
+
+        this.socket.on('backfill-progress', (job) => {
+            this.backfillJobs[`${job.email}_${job.mailbox}`] = job;
+            this.renderBackfill();
+        });
     }
 
     async loadInitialData() {
@@ -79,10 +104,88 @@ class ReachinboxApp {
             this.loadEmails(),
             this.loadStats(),
             this.loadAccounts(),
-            this.loadFolders()
+            this.loadFolders(),
+            this.loadBackfill()
         ]);
     }
 
+    async loadBackfill() {
+        try {
+            const response = await fetch('/api/accounts');
+            const data = await response.json();
+            if (!data.success) return;
+
+            const accounts = data.data.accounts.filter(account => account.status.backfill);
+            const results = await Promise.all(accounts.map(account =>
+                fetch(`/api/accounts/${encodeURIComponent(account.email)}/backfill`).then(res => res.json())
+            ));
+
+            results.filter(result => result.success).forEach(result => {
+                result.data.jobs.forEach(job => {
+                    this.backfillJobs[`${job.email}_${job.mailbox}`] = job;
+                });
+            });
+            this.renderBackfill();
+        } catch (error) {
+            console.error('Error loading backfill progress:', error);
+        }
+    }
+
+    renderBackfill() {
+        const byAccount = {};
+        Object.values(this.backfillJobs).forEach(job => {
+            (byAccount[job.email] = byAccount[job.email] || []).push(job);
+        });
+
+        // Only accounts with unfinished jobs are shown
+        const active = Object.entries(byAccount).filter(([, jobs]) => jobs.some(job => job.status !== 'completed'));
+        document.getElementById('backfill-panel').classList.toggle('hidden', active.length === 0);
+
+        document.getElementById('backfill-content').innerHTML = active.map(([email, jobs]) => {
+            const fetched = jobs.reduce((sum, job) => sum + job.fetched, 0);
+            const total = jobs.reduce((sum, job) => sum + (job.total || 0), 0);
+            const percent = total > 0 ? Math.round((fetched / total) * 100) : 0;
+            const paused = jobs.every(job => job.status === 'completed' || job.status === 'paused');
+            const etas = jobs.map(job => job.eta).filter(Boolean).map(eta => new Date(eta).getTime());
+            const eta = etas.length > 0 && !paused ? `ETA ${new Date(Math.max(...etas)).toLocaleTimeString()}` : '';
+
+            return `
+                <div>
+                    <div class="flex justify-between text-xs text-gray-600 mb-1">
+                        <span class="truncate">${this.escapeHtml(email)}</span>
+                        <span>${fetched}/${total}${paused ? ' (paused)' : ''}</span>
+                    </div>
+                    <div class="w-full bg-gray-200 rounded-full h-2">
+                        <div class="bg-blue-600 h-2 rounded-full" style="width: ${percent}%"></div>
+                    </div>
+                    <div class="flex justify-between text-xs text-gray-500 mt-1">
+                        <span>${eta}</span>
+                        <button class="text-blue-600 hover:underline" onclick="app.toggleBackfill('${encodeURIComponent(email)}', ${paused})">${paused ? 'Resume' : 'Pause'}</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    async toggleBackfill(encodedEmail, paused) {
+        try {
+            const response = await fetch(`/api/accounts/${encodedEmail}/backfill/${paused ? 'resume' : 'pause'}`, { method: 'POST' });
+            const data = await response.json();
+
+            if (data.success) {
+                data.data.jobs.forEach(job => {
+                    this.backfillJobs[`${job.email}_${job.mailbox}`] = job;
+                });
+                this.renderBackfill();
+            } else {
+                this.showError(data.error || 'Failed to update history sync');
+            }
+        } catch (error) {
+            console.error('Error updating backfill:', error);
+            this.showError('Error updating history sync');
+        }
+    }
+
     async loadEmails() {
         this.showLoading(true);
         
@@ -169,20 +272,30 @@ class ReachinboxApp {
         const date = new Date(email.date).toLocaleDateString();
         const time = new Date(email.date).toLocaleTimeString();
         const categoryClass = `category-${email.category?.toLowerCase().replace(/\s+/g, '-') || 'not-interested'}`;
+        const flagClasses = this.getFlagClasses(email.flags || []);
         
         return `
-            <div class="email-card p-6 hover:bg-gray-50 cursor-pointer" onclick="app.openEmailModal('${email.id}')">
+            <div class="email-card p-6 hover:bg-gray-50 cursor-pointer ${flagClasses}" data-email-id="${email.id}" onclick="app.openEmailModal('${email.id}')">
                 <div class="flex items-start justify-between">
                     <div class="flex-1 min-w-0">
                         <div class="flex items-center space-x-2 mb-2">
+                            <span class="unread-dot w-2 h-2 rounded-full bg-blue-500" title="Unread"></span>
                             <span class="text-sm font-medium text-gray-900 truncate">${email.from}</span>
+                            <i class="star-icon fas fa-star text-yellow-400" title="Starred"></i>
+                            <i class="answered-icon fas fa-reply text-gray-400" title="Answered"></i>
                             <span class="category-badge ${categoryClass}">${email.category || 'Not Categorized'}</span>
                         </div>
                         <h3 class="text-lg font-medium text-gray-900 mb-1 truncate">${email.subject || 'No Subject'}</h3>
                         <p class="text-sm text-gray-600 mb-2 line-clamp-2">${this.stripHtml(email.text || '')}</p>
+                        ${email.matchedAttachments && email.matchedAttachments.length > 0 ?
+                            `<p class="text-xs text-blue-600 mb-2 truncate"><i class="fas fa-search mr-1"></i>Found in ${email.matchedAttachments.map(attachment => this.escapeHtml(attachment.filename || 'attachment')).join(', ')}${email.matchedAttachments[0].highlight ? `: ${this.escapeHtml(this.stripHtml(email.matchedAttachments[0].highlight))}` : ''}</p>` : ''
+                        }
                         <div class="flex items-center text-xs text-gray-500 space-x-4">
                             <span><i class="fas fa-envelope mr-1"></i>${email.email}</span>
                             <span><i class="fas fa-folder mr-1"></i>${email.folder}</span>
+                            ${email.locations && email.locations.length > 1 ?
+                                `<span title="${this.escapeHtml(email.locations.map(location => `${location.email} / ${location.folder}`).join('\n'))}"><i class="fas fa-clone mr-1"></i>In ${email.locations.length} places</span>` : ''
+                            }
                             <span><i class="fas fa-clock mr-1"></i>${date} ${time}</span>
                             ${email.attachments && email.attachments.length > 0 ? 
                                 `<span><i class="fas fa-paperclip mr-1"></i>${email.attachments.length} attachment(s)</span>` : ''
@@ -197,9 +310,35 @@ class ReachinboxApp {
         `;
     }
 
+    getFlagClasses(flags) {
+        return [
+            flags.includes('\\Seen') ? '' : 'unread',
+            flags.includes('\\Flagged') ? 'starred' : '',
+            flags.includes('\\Answered') ? 'answered' : ''
+        ].filter(Boolean).join(' ');
+    }
+
+    updateEmailFlags(update) {
+        const card = Array.from(document.querySelectorAll('.email-card'))
+            .find(element => element.dataset.emailId === update.id);
+        if (!card) return;
+
+        card.classList.toggle('unread', !update.seen);
+        card.classList.toggle('starred', update.flagged);
+        card.classList.toggle('answered', update.answered);
+    }
+
+    removeEmailCard(emailId) {
+        const card = Array.from(document.querySelectorAll('.email-card'))
+            .find(element => element.dataset.emailId === emailId);
+        if (card) {
+            card.remove();
+        }
+    }
+
     async openEmailModal(emailId) {
         try {
-            const response = await fetch(`/api/emails/${emailId}`);
+            const response = await fetch(`/api/emails/${encodeURIComponent(emailId)}`);
             const data = await response.json();
 
             if (data.success) {
@@ -231,6 +370,109 @@ class ReachinboxApp {
         } else {
             content.innerHTML = `<pre class="whitespace-pre-wrap">${email.text || 'No content'}</pre>`;
         }
+
+        this.updateModalFlagButtons(email.flags || []);
+        this.loadAttachments(email);
+    }
+
+    async loadAttachments(email) {
+        const section = document.getElementById('modal-attachments');
+        const previews = document.getElementById('modal-attachment-previews');
+        const list = document.getElementById('modal-attachment-list');
+        previews.innerHTML = '';
+        list.innerHTML = '';
+        section.classList.add('hidden');
+
+        if (!email.attachments || email.attachments.length === 0) return;
+
+        try {
+            const response = await fetch(`/api/emails/${encodeURIComponent(email.id)}/attachments`);
+            const data = await response.json();
+            if (!data.success || this.currentEmail?.id !== email.id) return;
+
+            const attachments = data.data.attachments;
+            previews.innerHTML = attachments
+                .filter(attachment => attachment.available && /^image\/(png|jpe?g|gif|webp|bmp)$/i.test(attachment.contentType))
+                .map(attachment => `
+                    <a href="${attachment.url}?disposition=inline" target="_blank" rel="noopener">
+                        <img src="${attachment.url}?disposition=inline" alt="${this.escapeHtml(attachment.filename || 'image')}" class="h-24 rounded border object-cover">
+                    </a>
+                `).join('');
+            list.innerHTML = attachments.map(attachment => `
+                <li class="flex items-center space-x-2">
+                    <i class="fas fa-file text-gray-400"></i>
+                    ${attachment.available
+                        ? `<a href="${attachment.url}" class="text-blue-600 hover:underline">${this.escapeHtml(attachment.filename || `attachment-${attachment.index}`)}</a>`
+                        : `<span class="text-gray-500">${this.escapeHtml(attachment.filename || `attachment-${attachment.index}`)}</span>`}
+                    <span class="text-gray-400">${this.formatSize(attachment.size)}</span>
+                </li>
+            `).join('');
+            section.classList.remove('hidden');
+        } catch (error) {
+            console.error('Error loading attachments:', error);
+        }
+    }
+
+    formatSize(bytes) {
+        if (!bytes) return '';
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    updateModalFlagButtons(flags) {
+        document.querySelector('#toggle-read span').textContent = flags.includes('\\Seen') ? 'Mark Unread' : 'Mark Read';
+        document.querySelector('#toggle-star span').textContent = flags.includes('\\Flagged') ? 'Unstar' : 'Star';
+    }
+
+    async toggleFlag(flag) {
+        if (!this.currentEmail) return;
+
+        const flags = this.currentEmail.flags || [];
+        const current = flag === 'seen' ? flags.includes('\\Seen') : flags.includes('\\Flagged');
+
+        try {
+            const response = await fetch(`/api/emails/${encodeURIComponent(this.currentEmail.id)}/flags`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ [flag]: !current })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.currentEmail.flags = data.data.flags;
+                this.updateModalFlagButtons(data.data.flags);
+            } else {
+                this.showError(data.details || data.error || 'Failed to update email');
+            }
+        } catch (error) {
+            console.error('Error updating email flags:', error);
+            this.showError('Error updating email');
+        }
+    }
+
+    async runEmailAction(action) {
+        if (!this.currentEmail) return;
+
+        const id = encodeURIComponent(this.currentEmail.id);
+        const request = action === 'delete'
+            ? fetch(`/api/emails/${id}`, { method: 'DELETE' })
+            : fetch(`/api/emails/${id}/${action}`, { method: 'POST' });
+
+        try {
+            const data = await (await request).json();
+
+            if (data.success) {
+                this.showNotification(data.message, 'success');
+                this.closeEmailModal();
+                this.loadEmails();
+            } else {
+                this.showError(data.details || data.error || `Failed to ${action} email`);
+            }
+        } catch (error) {
+            console.error(`Error running ${action}:`, error);
+            this.showError(`Error running ${action}`);
+        }
     }
 
     closeEmailModal() {
@@ -238,19 +480,46 @@ class ReachinboxApp {
         this.currentEmail = null;
     }
 
-    openAIModal() {
+    async openAIModal() {
         if (!this.currentEmail) return;
         
         document.getElementById('ai-reply-modal').classList.remove('hidden');
         document.getElementById('training-data').value = '';
+        document.getElementById('send-reply').disabled = true;
         document.getElementById('ai-reply-content').innerHTML = `
             <div class="loading-spinner mx-auto mb-2"></div>
             <p class="text-gray-500 text-center">Generating reply...</p>
         `;
+        this.currentDraft = null;
+
+        // Pick up where the last draft for this email left off
+        try {
+            const response = await fetch(`/api/drafts?emailId=${encodeURIComponent(this.currentEmail.id)}&size=1`);
+            const data = await response.json();
+            const draft = data.success ? data.data.drafts[0] : null;
+
+            if (draft) {
+                this.currentDraft = draft;
+                document.getElementById('training-data').value = draft.trainingData || '';
+                this.renderAIReply(draft.text);
+                return;
+            }
+        } catch (error) {
+            console.error('Error loading draft:', error);
+        }
         
         this.generateAIReply();
     }
 
+    // Editable, so the suggestion can be adjusted before it is sent
+    renderAIReply(text) {
+        document.getElementById('ai-reply-content').innerHTML = `
+            <textarea id="ai-reply-text" rows="10" class="w-full p-4 bg-white rounded border text-sm"></textarea>
+        `;
+        document.getElementById('ai-reply-text').value = text;
+        document.getElementById('send-reply').disabled = false;
+    }
+
     closeAIModal() {
         document.getElementById('ai-reply-modal').classList.add('hidden');
     }
@@ -279,11 +548,8 @@ class ReachinboxApp {
             const data = await response.json();
 
             if (data.success) {
-                document.getElementById('ai-reply-content').innerHTML = `
-                    <div class="bg-white p-4 rounded border">
-                        <pre class="whitespace-pre-wrap text-sm">${data.data.suggestedReply}</pre>
-                    </div>
-                `;
+                this.currentDraft = data.data.draft;
+                this.renderAIReply(data.data.suggestedReply);
             } else {
                 this.showError('Failed to generate AI reply');
             }
@@ -294,7 +560,7 @@ class ReachinboxApp {
     }
 
     copyAIReply() {
-        const replyContent = document.getElementById('ai-reply-content').textContent;
+        const replyContent = document.getElementById('ai-reply-text')?.value || '';
         navigator.clipboard.writeText(replyContent).then(() => {
             this.showNotification('Reply copied to clipboard!', 'success');
         }).catch(() => {
@@ -302,6 +568,79 @@ class ReachinboxApp {
         });
     }
 
+    // Creates the draft for the current email, or saves the edited text into it
+    async saveDraft(notify = false) {
+        const text = document.getElementById('ai-reply-text')?.value;
+        if (!this.currentEmail || text === undefined) return false;
+
+        try {
+            const response = await fetch(this.currentDraft ? `/api/drafts/${encodeURIComponent(this.currentDraft.id)}` : '/api/drafts', {
+                method: this.currentDraft ? 'PATCH' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(this.currentDraft ? { text: text } : { emailId: this.currentEmail.id, text: text })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.currentDraft = data.data;
+                if (notify) this.showNotification(data.message, data.data.imapError ? 'info' : 'success');
+                return true;
+            }
+            this.showError(data.details || data.message || 'Failed to save draft');
+        } catch (error) {
+            console.error('Error saving draft:', error);
+            this.showError('Error saving draft');
+        }
+        return false;
+    }
+
+    async sendAIReply() {
+        const text = document.getElementById('ai-reply-text')?.value.trim();
+        if (!this.currentEmail || !text) return;
+
+        const button = document.getElementById('send-reply');
+        button.disabled = true;
+
+        try {
+            // A draft is sent (and discarded) as saved, so save the edits first
+            if (this.currentDraft && !await this.saveDraft()) {
+                button.disabled = false;
+                return;
+            }
+
+            const url = this.currentDraft
+                ? `/api/drafts/${encodeURIComponent(this.currentDraft.id)}/send`
+                : `/api/emails/${encodeURIComponent(this.currentEmail.id)}/reply`;
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(this.currentDraft ? {} : { text: text })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification(data.message, data.data.savedToSent ? 'success' : 'info');
+                this.currentEmail.flags = [...new Set([...(this.currentEmail.flags || []), '\\Answered'])];
+                this.currentDraft = null;
+                this.closeAIModal();
+                this.loadEmails();
+            } else {
+                this.showError(data.details || data.message || 'Failed to send reply');
+                button.disabled = false;
+            }
+        } catch (error) {
+            console.error('Error sending reply:', error);
+            this.showError('Error sending reply');
+            button.disabled = false;
+        }
+    }
+
     async loadStats() {
         try {
             const response = await fetch('/api/emails/stats/overview');
@@ -447,6 +786,12 @@ class ReachinboxApp {
         return tmp.textContent || tmp.innerText || '';
     }
 
+    escapeHtml(text) {
+        const tmp = document.createElement('div');
+        tmp.textContent = text;
+        return tmp.innerHTML.replace(/"/g, '&quot;');
+    }
+
     debounce(func, wait) {
         let timeout;
         return function executedFunction(...args) {
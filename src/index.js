@@ -10,7 +10,17 @@ const winston = require('winston');
 dotenv.config();
 
 // Import services
+const AccountService = require('./services/accountService');
+const OAuth2TokenService = require('./services/oauth2TokenService');
+const AttachmentStoreService = require('./services/attachmentStoreService');
 const ImapSyncService = require('./services/imapSyncService');
+const ImportService = require('./services/importService');
+const ExportService = require('./services/exportService');
+const SmtpService = require('./services/smtpService');
+const SendService = require('./services/sendService');
+const OutboxService = require('./services/outboxService');
+const DraftService = require('./services/draftService');
+const SequenceService = require('./services/sequenceService');
 const ElasticsearchService = require('./services/elasticsearchService');
 const AICategorizationService = require('./services/aiCategorizationService');
 const SlackService = require('./services/slackService');
@@ -18,6 +28,11 @@ const WebhookService = require('./services/webhookService');
 const EmailRoutes = require('./routes/emailRoutes');
 const SearchRoutes = require('./routes/searchRoutes');
 const AICategorizationRoutes = require('./routes/aiCategorizationRoutes');
+const AccountRoutes = require('./routes/accountRoutes');
+const ImportRoutes = require('./routes/importRoutes');
+const OutboxRoutes = require('./routes/outboxRoutes');
+const DraftRoutes = require('./routes/draftRoutes');
+const SequenceRoutes = require('./routes/sequenceRoutes');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -53,13 +68,26 @@ class ReachinboxApp {
     this.aiCategorizationService = new AICategorizationService();
     this.slackService = new SlackService();
     this.webhookService = new WebhookService();
+    this.accountService = new AccountService();
+    this.tokenProvider = new OAuth2TokenService(this.accountService);
+    this.attachmentStore = new AttachmentStoreService();
     this.imapSyncService = new ImapSyncService(
       this.elasticsearchService,
       this.aiCategorizationService,
       this.slackService,
       this.webhookService,
-      this.io
+      this.io,
+      this.accountService,
+      this.tokenProvider,
+      this.attachmentStore
     );
+    this.importService = new ImportService(this.imapSyncService);
+    this.exportService = new ExportService(this.elasticsearchService, this.attachmentStore);
+    this.smtpService = new SmtpService(this.tokenProvider);
+    this.sendService = new SendService(this.accountService, this.smtpService, this.imapSyncService, this.attachmentStore);
+    this.outboxService = new OutboxService(this.elasticsearchService, this.sendService, this.attachmentStore);
+    this.draftService = new DraftService(this.elasticsearchService, this.sendService, this.smtpService, this.imapSyncService);
+    this.sequenceService = new SequenceService(this.elasticsearchService, this.outboxService, this.sendService, this.imapSyncService);
     
     this.setupMiddleware();
     this.setupRoutes();
@@ -85,20 +113,27 @@ class ReachinboxApp {
   setupRoutes() {
     // Health check
     this.app.get('/health', (req, res) => {
+      const imapHealth = this.imapSyncService.getHealth();
+
       res.json({ 
-        status: 'healthy', 
+        status: imapHealth.healthy ? 'healthy' : 'degraded', 
         timestamp: new Date().toISOString(),
         services: {
           elasticsearch: this.elasticsearchService.isConnected(),
-          imap: this.imapSyncService.isRunning()
+          imap: imapHealth
         }
       });
     });
 
     // API routes
-    this.app.use('/api/emails', new EmailRoutes(this.elasticsearchService).router);
-    this.app.use('/api/search', new SearchRoutes(this.elasticsearchService).router);
-    this.app.use('/api/ai', new AICategorizationRoutes(this.aiCategorizationService).router);
+    this.app.use('/api/emails', new EmailRoutes(this.elasticsearchService, this.imapSyncService, this.attachmentStore, this.exportService, this.sendService, this.outboxService, this.sequenceService).router);
+    this.app.use('/api/search', new SearchRoutes(this.elasticsearchService, this.exportService).router);
+    this.app.use('/api/ai', new AICategorizationRoutes(this.aiCategorizationService, this.draftService, this.elasticsearchService).router);
+    this.app.use('/api/accounts', new AccountRoutes(this.accountService, this.imapSyncService).router);
+    this.app.use('/api/import', new ImportRoutes(this.importService).router);
+    this.app.use('/api/outbox', new OutboxRoutes(this.outboxService).router);
+    this.app.use('/api/drafts', new DraftRoutes(this.draftService, this.elasticsearchService).router);
+    this.app.use('/api/sequences', new SequenceRoutes(this.sequenceService, this.elasticsearchService).router);
 
     // Serve static files for frontend
     this.app.use(express.static('public'));
@@ -140,10 +175,17 @@ class ReachinboxApp {
       await this.aiCategorizationService.initializeDefaultTrainingData();
       logger.info('AI categorization service initialized');
 
+      // Stop follow-up sequences as replies are ingested, including during the initial sync
+      this.sequenceService.start();
+
       // Start IMAP sync service
       await this.imapSyncService.start();
       logger.info('IMAP sync service started');
 
+      // Send scheduled emails, including any that came due while stopped
+      await this.outboxService.start();
+      logger.info('Outbox worker started');
+
       // Start server
       this.server.listen(this.port, () => {
         logger.info(`Reachinbox server running on port ${this.port}`);
@@ -160,6 +202,9 @@ class ReachinboxApp {
   async stop() {
     logger.info('Shutting down application...');
     
+    // Let an outbox send in progress finish before the IMAP connections close
+    await this.outboxService.stop();
+
     // Stop IMAP sync service
     await this.imapSyncService.stop();
     
@@ -0,0 +1,402 @@
+const express = require('express');
+const Joi = require('joi');
+
+class AccountRoutes {
+  constructor(accountService, imapSyncService) {
+    this.router = express.Router();
+    this.accountService = accountService;
+    this.imapSyncService = imapSyncService;
+    this.setupRoutes();
+  }
+
+  setupRoutes() {
+    // List accounts with their connection state
+    this.router.get('/', this.getAccounts.bind(this));
+
+    // Get a single account
+    this.router.get('/:email', this.getAccount.bind(this));
+
+    // Add an account (after a successful test connection)
+    this.router.post('/', this.addAccount.bind(this));
+
+    // Pause / resume syncing
+    this.router.post('/:email/pause', this.pauseAccount.bind(this));
+    this.router.post('/:email/resume', this.resumeAccount.bind(this));
+
+    // Drop checkpoints and sync the backfill window again
+    this.router.post('/:email/resync', this.resyncAccount.bind(this));
+
+    // Historical backfill progress and control
+    this.router.get('/:email/backfill', this.getBackfill.bind(this));
+    this.router.post('/:email/backfill', this.startBackfill.bind(this));
+    this.router.post('/:email/backfill/pause', this.pauseBackfill.bind(this));
+    this.router.post('/:email/backfill/resume', this.resumeBackfill.bind(this));
+
+    // Remove an account, optionally purging its emails
+    this.router.delete('/:email', this.removeAccount.bind(this));
+  }
+
+  buildAccountResponse(account) {
+    const status = this.imapSyncService.getConnectionStatus()[account.email] || {};
+    return {
+      ...this.accountService.toPublic(account),
+      status: status
+    };
+  }
+
+  async getAccounts(req, res) {
+    try {
+      const accounts = this.accountService.list().map(account => this.buildAccountResponse(account));
+
+      res.json({
+        success: true,
+        data: {
+          accounts: accounts,
+          count: accounts.length
+        }
+      });
+
+    } catch (error) {
+      console.error('Error getting accounts:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to retrieve accounts'
+      });
+    }
+  }
+
+  async getAccount(req, res) {
+    try {
+      const account = this.accountService.get(req.params.email);
+
+      if (!account) {
+        return res.status(404).json({
+          error: 'Account not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: this.buildAccountResponse(account)
+      });
+
+    } catch (error) {
+      console.error('Error getting account:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to retrieve account'
+      });
+    }
+  }
+
+  async addAccount(req, res) {
+    try {
+      let account;
+      try {
+        account = this.accountService.validateAccount(req.body);
+      } catch (validationError) {
+        return res.status(400).json({
+          error: 'Validation error',
+          details: validationError.message
+        });
+      }
+
+      if (this.accountService.get(account.email)) {
+        return res.status(409).json({
+          error: 'Account already exists'
+        });
+      }
+
+      try {
+        await this.imapSyncService.testConnection(account);
+      } catch (connectionError) {
+        return res.status(422).json({
+          error: 'Connection test failed',
+          details: connectionError.message
+        });
+      }
+
+      await this.accountService.add(account);
+      if (account.enabled) {
+        this.imapSyncService.startAccount(account);
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Account added successfully',
+        data: this.buildAccountResponse(account)
+      });
+
+    } catch (error) {
+      console.error('Error adding account:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to add account'
+      });
+    }
+  }
+
+  async pauseAccount(req, res) {
+    try {
+      const account = this.accountService.get(req.params.email);
+
+      if (!account) {
+        return res.status(404).json({
+          error: 'Account not found'
+        });
+      }
+
+      const updated = await this.accountService.update(account.email, { enabled: false });
+      await this.imapSyncService.pauseAccount(account.email);
+
+      res.json({
+        success: true,
+        message: 'Account paused',
+        data: this.buildAccountResponse(updated)
+      });
+
+    } catch (error) {
+      console.error('Error pausing account:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to pause account'
+      });
+    }
+  }
+
+  async resumeAccount(req, res) {
+    try {
+      const account = this.accountService.get(req.params.email);
+
+      if (!account) {
+        return res.status(404).json({
+          error: 'Account not found'
+        });
+      }
+
+      const updated = await this.accountService.update(account.email, { enabled: true });
+      this.imapSyncService.resumeAccount(updated);
+
+      res.json({
+        success: true,
+        message: 'Account resumed',
+        data: this.buildAccountResponse(updated)
+      });
+
+    } catch (error) {
+      console.error('Error resuming account:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to resume account'
+      });
+    }
+  }
+
+  async resyncAccount(req, res) {
+    try {
+      const account = this.accountService.get(req.params.email);
+
+      if (!account) {
+        return res.status(404).json({
+          error: 'Account not found'
+        });
+      }
+
+      if (!account.enabled) {
+        return res.status(409).json({
+          error: 'Account is paused'
+        });
+      }
+
+      await this.imapSyncService.resyncAccount(account);
+
+      res.status(202).json({
+        success: true,
+        message: 'Resync started',
+        data: this.buildAccountResponse(account)
+      });
+
+    } catch (error) {
+      console.error('Error resyncing account:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to resync account'
+      });
+    }
+  }
+
+  async removeAccount(req, res) {
+    try {
+      const schema = Joi.object({
+        purge: Joi.boolean().default(false)
+      });
+
+      const { error, value } = schema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation error',
+          details: error.details[0].message
+        });
+      }
+
+      const account = this.accountService.get(req.params.email);
+
+      if (!account) {
+        return res.status(404).json({
+          error: 'Account not found'
+        });
+      }
+
+      await this.imapSyncService.removeAccount(account.email, { purge: value.purge });
+      await this.accountService.remove(account.email);
+
+      res.json({
+        success: true,
+        message: value.purge ? 'Account and its emails removed successfully' : 'Account removed successfully'
+      });
+
+    } catch (error) {
+      console.error('Error removing account:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to remove account'
+      });
+    }
+  }
+
+  buildBackfillResponse(email) {
+    return {
+      summary: this.imapSyncService.backfill.getSummary(email),
+      jobs: this.imapSyncService.backfill.getJobs(email)
+    };
+  }
+
+  async getBackfill(req, res) {
+    try {
+      const account = this.accountService.get(req.params.email);
+
+      if (!account) {
+        return res.status(404).json({
+          error: 'Account not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: this.buildBackfillResponse(account.email)
+      });
+
+    } catch (error) {
+      console.error('Error getting backfill progress:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to retrieve backfill progress'
+      });
+    }
+  }
+
+  async startBackfill(req, res) {
+    try {
+      const schema = Joi.object({
+        days: Joi.alternatives(Joi.number().integer().min(1), Joi.string().valid('all')).optional(),
+        folders: Joi.array().items(Joi.string()).min(1).optional()
+      });
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation error',
+          details: error.details[0].message
+        });
+      }
+
+      const account = this.accountService.get(req.params.email);
+
+      if (!account) {
+        return res.status(404).json({
+          error: 'Account not found'
+        });
+      }
+
+      if (!this.imapSyncService.isAccountConnected(account.email)) {
+        return res.status(409).json({
+          error: 'Account is not connected'
+        });
+      }
+
+      await this.imapSyncService.backfill.start(account, {
+        backfillDays: value.days,
+        folders: value.folders
+      });
+
+      res.status(202).json({
+        success: true,
+        message: 'Backfill started',
+        data: this.buildBackfillResponse(account.email)
+      });
+
+    } catch (error) {
+      console.error('Error starting backfill:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to start backfill'
+      });
+    }
+  }
+
+  async pauseBackfill(req, res) {
+    try {
+      const account = this.accountService.get(req.params.email);
+
+      if (!account) {
+        return res.status(404).json({
+          error: 'Account not found'
+        });
+      }
+
+      await this.imapSyncService.backfill.pause(account.email);
+
+      res.json({
+        success: true,
+        message: 'Backfill paused',
+        data: this.buildBackfillResponse(account.email)
+      });
+
+    } catch (error) {
+      console.error('Error pausing backfill:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to pause backfill'
+      });
+    }
+  }
+
+  async resumeBackfill(req, res) {
+    try {
+      const account = this.accountService.get(req.params.email);
+
+      if (!account) {
+        return res.status(404).json({
+          error: 'Account not found'
+        });
+      }
+
+      await this.imapSyncService.backfill.resume(account.email);
+
+      res.json({
+        success: true,
+        message: 'Backfill resumed',
+        data: this.buildBackfillResponse(account.email)
+      });
+
+    } catch (error) {
+      console.error('Error resuming backfill:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to resume backfill'
+      });
+    }
+  }
+}
+
+module.exports = AccountRoutes;
@@ -2,9 +2,11 @@ const express = require('express');
 const Joi = require('joi');
 
 class AICategorizationRoutes {
-  constructor(aiCategorizationService) {
+  constructor(aiCategorizationService, draftService, elasticsearchService) {
     this.router = express.Router();
     this.aiCategorizationService = aiCategorizationService;
+    this.draftService = draftService;
+    this.elasticsearchService = elasticsearchService;
     this.setupRoutes();
   }
 
@@ -15,7 +17,7 @@ class AICategorizationRoutes {
     // Batch categorize emails
     this.router.post('/categorize/batch', this.batchCategorizeEmails.bind(this));
     
-    // Generate suggested reply
+    // Generate suggested reply, kept as a draft of the email
     this.router.post('/reply/suggest', this.generateSuggestedReply.bind(this));
     
     // Get available categories
@@ -135,7 +137,9 @@ class AICategorizationRoutes {
           text: Joi.string().required(),
           date: Joi.date().required()
         }).required(),
-        trainingData: Joi.string().required()
+        trainingData: Joi.string().required(),
+        saveDraft: Joi.boolean().default(true),
+        saveToImap: Joi.boolean().optional()
       });
 
       const { error, value } = schema.validate(req.body);
@@ -146,16 +150,22 @@ class AICategorizationRoutes {
         });
       }
 
-      const suggestedReply = await this.aiCategorizationService.generateSuggestedReply(
+      const suggestion = await this.aiCategorizationService.generateReplyWithContext(
         value.email,
         value.trainingData
       );
 
+      const draft = value.saveDraft && suggestion.generated
+        ? await this.saveSuggestion(value, suggestion)
+        : null;
+
       res.json({
         success: true,
         data: {
           id: value.email.id,
-          suggestedReply: suggestedReply,
+          suggestedReply: suggestion.reply,
+          trainingSnippets: suggestion.trainingSnippets,
+          draft: draft,
           originalEmail: {
             from: value.email.from,
             subject: value.email.subject,
@@ -173,6 +183,38 @@ class AICategorizationRoutes {
     }
   }
 
+  // Drafts are only kept for indexed emails; failing to keep one still returns the suggestion.
+  // Regenerating replaces the email's AI draft rather than adding another one.
+  async saveSuggestion(value, suggestion) {
+    try {
+      const email = await this.elasticsearchService.getEmailById(value.email.id);
+      if (!email) {
+        return null;
+      }
+
+      const fields = {
+        text: suggestion.reply,
+        html: null,
+        trainingData: value.trainingData,
+        trainingSnippets: suggestion.trainingSnippets
+      };
+      // Left out, an existing draft stays in (or out of) the Drafts folder as it was
+      if (value.saveToImap !== undefined) {
+        fields.saveToImap = value.saveToImap;
+      }
+
+      const { hits: [existing] } = await this.draftService.list({ emailId: email.id, source: 'ai', size: 1 });
+      const { draft, imapError } = existing
+        ? await this.draftService.update(existing, email, fields)
+        : await this.draftService.create(email, { ...fields, source: 'ai' });
+      return { ...draft, imapError: imapError };
+
+    } catch (error) {
+      console.error('Error saving suggested reply as a draft:', error);
+      return null;
+    }
+  }
+
   async getCategories(req, res) {
     try {
       const categories = this.aiCategorizationService.getCategories();
@@ -0,0 +1,261 @@
+const express = require('express');
+const Joi = require('joi');
+
+// Fields a draft can be created or edited with
+const DRAFT_KEYS = {
+  text: Joi.string().allow(''),
+  html: Joi.string().allow(null),
+  replyAll: Joi.boolean(),
+  cc: Joi.array().items(Joi.string().email()),
+  bcc: Joi.array().items(Joi.string().email()),
+  quote: Joi.boolean(),
+  saveToImap: Joi.boolean()
+};
+
+class DraftRoutes {
+  constructor(draftService, elasticsearchService) {
+    this.router = express.Router();
+    this.draftService = draftService;
+    this.elasticsearchService = elasticsearchService;
+    this.setupRoutes();
+  }
+
+  setupRoutes() {
+    // Drafts, most recently edited first (`?emailId=` for one email's drafts)
+    this.router.get('/', this.getDrafts.bind(this));
+    this.router.get('/:id', this.getDraft.bind(this));
+
+    // Start a reply draft for an email
+    this.router.post('/', this.createDraft.bind(this));
+
+    // Edit a draft (its Drafts folder copy is replaced)
+    this.router.patch('/:id', this.updateDraft.bind(this));
+
+    // Discard a draft
+    this.router.delete('/:id', this.deleteDraft.bind(this));
+
+    // Send the draft as a reply, then discard it
+    this.router.post('/:id/send', this.sendDraft.bind(this));
+  }
+
+  async getDrafts(req, res) {
+    try {
+      const schema = Joi.object({
+        emailId: Joi.string().optional(),
+        account: Joi.string().email().optional(),
+        source: Joi.string().valid('ai', 'user').optional(),
+        page: Joi.number().integer().min(1).default(1),
+        size: Joi.number().integer().min(1).max(100).default(20)
+      });
+
+      const { error, value } = schema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation error',
+          details: error.details[0].message
+        });
+      }
+
+      const result = await this.draftService.list({
+        emailId: value.emailId,
+        account: value.account,
+        source: value.source,
+        from: (value.page - 1) * value.size,
+        size: value.size
+      });
+
+      res.json({
+        success: true,
+        data: {
+          drafts: result.hits,
+          pagination: {
+            page: value.page,
+            size: value.size,
+            total: result.total,
+            pages: Math.ceil(result.total / value.size)
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Error getting drafts:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to retrieve drafts'
+      });
+    }
+  }
+
+  async getDraft(req, res) {
+    try {
+      const draft = await this.draftService.get(req.params.id);
+      if (!draft) {
+        return res.status(404).json({
+          error: 'Draft not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: draft
+      });
+
+    } catch (error) {
+      console.error('Error getting draft:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to retrieve draft'
+      });
+    }
+  }
+
+  async createDraft(req, res) {
+    try {
+      const schema = Joi.object({
+        emailId: Joi.string().required(),
+        ...DRAFT_KEYS
+      });
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation error',
+          details: error.details[0].message
+        });
+      }
+
+      const { emailId, ...fields } = value;
+      const email = await this.elasticsearchService.getEmailById(emailId);
+      if (!email) {
+        return res.status(404).json({
+          error: 'Email not found'
+        });
+      }
+
+      const { draft, imapError } = await this.draftService.create(email, fields);
+
+      res.status(201).json({
+        success: true,
+        message: imapError ? 'Draft saved, but it could not be saved to the Drafts folder' : 'Draft saved',
+        data: { ...draft, imapError: imapError }
+      });
+
+    } catch (error) {
+      console.error('Error creating draft:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to save draft'
+      });
+    }
+  }
+
+  async updateDraft(req, res) {
+    try {
+      const schema = Joi.object(DRAFT_KEYS).min(1);
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation error',
+          details: error.details[0].message
+        });
+      }
+
+      const existing = await this.draftService.get(req.params.id);
+      if (!existing) {
+        return res.status(404).json({
+          error: 'Draft not found'
+        });
+      }
+
+      const email = await this.elasticsearchService.getEmailById(existing.emailId);
+      if (!email) {
+        return res.status(404).json({
+          error: 'Email not found'
+        });
+      }
+
+      const { draft, imapError } = await this.draftService.update(existing, email, value);
+
+      res.json({
+        success: true,
+        message: imapError ? 'Draft saved, but it could not be saved to the Drafts folder' : 'Draft saved',
+        data: { ...draft, imapError: imapError }
+      });
+
+    } catch (error) {
+      console.error('Error updating draft:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to save draft'
+      });
+    }
+  }
+
+  async deleteDraft(req, res) {
+    try {
+      const draft = await this.draftService.get(req.params.id);
+      if (!draft) {
+        return res.status(404).json({
+          error: 'Draft not found'
+        });
+      }
+
+      const { imapError } = await this.draftService.delete(draft);
+
+      res.json({
+        success: true,
+        message: imapError ? 'Draft deleted, but its copy is still in the Drafts folder' : 'Draft deleted',
+        data: { id: draft.id, imapError: imapError }
+      });
+
+    } catch (error) {
+      console.error('Error deleting draft:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to delete draft'
+      });
+    }
+  }
+
+  async sendDraft(req, res) {
+    try {
+      const draft = await this.draftService.get(req.params.id);
+      if (!draft) {
+        return res.status(404).json({
+          error: 'Draft not found'
+        });
+      }
+
+      const email = await this.elasticsearchService.getEmailById(draft.emailId);
+      if (!email) {
+        return res.status(404).json({
+          error: 'Email not found'
+        });
+      }
+
+      const result = await this.draftService.send(draft, email);
+
+      res.json({
+        success: true,
+        message: result.savedToSent ? 'Reply sent' : 'Reply sent, but it could not be saved to Sent',
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Error sending draft:', error);
+      if (error.statusCode === 422 || error.statusCode === 502) {
+        return res.status(error.statusCode).json({
+          error: error.statusCode === 502 ? 'SMTP error' : 'Cannot send email',
+          details: error.message
+        });
+      }
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to send draft'
+      });
+    }
+  }
+}
+
+module.exports = DraftRoutes;
@@ -1,20 +1,63 @@
 const express = require('express');
 const Joi = require('joi');
+const multer = require('multer');
+const ImportService = require('../services/importService');
+const contentDisposition = require('content-disposition');
+
+// Filters shared by the email list and its export
+const FILTER_KEYS = {
+  query: Joi.string().allow('').optional(),
+  email: Joi.alternatives(Joi.string().email(), Joi.string().valid(ImportService.ACCOUNT)).optional(),
+  folder: Joi.string().optional(),
+  category: Joi.string().optional(),
+  dateFrom: Joi.date().optional(),
+  dateTo: Joi.date().optional()
+};
+
+// Recipients as a JSON array, repeated multipart fields, or a comma-separated string
+const addressList = Joi.array().items(Joi.string().trim().email()).single();
+const ADDRESS_FIELDS = ['to', 'cc', 'bcc'];
 
 class EmailRoutes {
-  constructor(elasticsearchService) {
+  constructor(elasticsearchService, imapSyncService, attachmentStore, exportService, sendService, outboxService, sequenceService) {
     this.router = express.Router();
     this.elasticsearchService = elasticsearchService;
+    this.imapSyncService = imapSyncService;
+    this.attachmentStore = attachmentStore;
+    this.exportService = exportService;
+    this.sendService = sendService;
+    this.outboxService = outboxService;
+    this.sequenceService = sequenceService;
+    // Attachments for outgoing mail stay in memory; SMTP servers cap messages at a few tens of MB anyway
+    this.upload = multer({
+      storage: multer.memoryStorage(),
+      limits: {
+        fileSize: parseInt(process.env.SEND_MAX_ATTACHMENT_SIZE) || 25 * 1024 * 1024,
+        files: 20
+      }
+    }).array('attachments');
     this.setupRoutes();
   }
 
   setupRoutes() {
     // Get all emails with pagination and filtering
     this.router.get('/', this.getEmails.bind(this));
+
+    // Send a new email (JSON, or multipart with `attachments` files)
+    this.router.post('/compose', this.composeEmail.bind(this));
+
+    // Download the filtered emails as CSV, JSONL, mbox or a zip of .eml files
+    this.router.get('/export', this.exportEmails.bind(this));
     
     // Get email by ID
     this.router.get('/:id', this.getEmailById.bind(this));
     
+    // List an email's attachments
+    this.router.get('/:id/attachments', this.getAttachments.bind(this));
+
+    // Download (or preview) a single attachment
+    this.router.get('/:id/attachments/:index', this.getAttachment.bind(this));
+    
     // Get emails by account
     this.router.get('/account/:email', this.getEmailsByAccount.bind(this));
     
@@ -27,22 +70,54 @@ class EmailRoutes {
     // Get folders
     this.router.get('/stats/folders', this.getFolders.bind(this));
     
-    // Delete email
+    // Delete email (moves it to Trash on the server)
     this.router.delete('/:id', this.deleteEmail.bind(this));
     
     // Update email category
     this.router.patch('/:id/category', this.updateEmailCategory.bind(this));
+
+    // Mark read/unread and starred on the server
+    this.router.patch('/:id/flags', this.updateEmailFlags.bind(this));
+
+    // Move to another folder on the server
+    this.router.post('/:id/move', this.moveEmail.bind(this));
+
+    // Move to the account's Archive folder
+    this.router.post('/:id/archive', this.archiveEmail.bind(this));
+
+    // Reply over the account's SMTP server; the sent copy is filed in Sent and indexed
+    this.router.post('/:id/reply', this.replyToEmail.bind(this));
+
+    // Forward with the original attachments (JSON, or multipart with extra `attachments` files)
+    this.router.post('/:id/forward', this.forwardEmail.bind(this));
+  }
+
+  // Loads an email whose account is connected, or sends the error response and returns null
+  async getWritableEmail(req, res) {
+    const email = await this.elasticsearchService.getEmailById(req.params.id);
+
+    if (!email) {
+      res.status(404).json({
+        error: 'Email not found'
+      });
+      return null;
+    }
+
+    if (!this.imapSyncService.isAccountConnected(email.email)) {
+      res.status(503).json({
+        error: 'Account is not connected',
+        details: `${email.email} must be connected to change messages on the server`
+      });
+      return null;
+    }
+
+    return email;
   }
 
   async getEmails(req, res) {
     try {
       const schema = Joi.object({
-        query: Joi.string().allow('').optional(),
-        email: Joi.string().email().optional(),
-        folder: Joi.string().optional(),
-        category: Joi.string().optional(),
-        dateFrom: Joi.date().optional(),
-        dateTo: Joi.date().optional(),
+        ...FILTER_KEYS,
         page: Joi.number().integer().min(1).default(1),
         size: Joi.number().integer().min(1).max(100).default(20)
       });
@@ -90,6 +165,33 @@ class EmailRoutes {
     }
   }
 
+  async exportEmails(req, res) {
+    try {
+      const schema = Joi.object({
+        ...FILTER_KEYS,
+        format: Joi.string().valid(...this.exportService.getFormats()).required()
+      });
+
+      const { error, value } = schema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation error',
+          details: error.details[0].message
+        });
+      }
+
+      const query = this.elasticsearchService.buildSearchQuery(value.query, value);
+      await this.exportService.exportEmails(res, value.format, query);
+
+    } catch (error) {
+      console.error('Error exporting emails:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to export emails'
+      });
+    }
+  }
+
   async getEmailById(req, res) {
     try {
       const { id } = req.params;
@@ -216,11 +318,36 @@ class EmailRoutes {
         });
       }
 
-      await this.elasticsearchService.deleteEmail(id);
+      const email = await this.elasticsearchService.getEmailById(id);
+
+      if (!email) {
+        return res.status(404).json({
+          error: 'Email not found'
+        });
+      }
+
+      // Emails of accounts that are no longer configured only exist in the index
+      if (!this.imapSyncService.accountService.get(email.email)) {
+        await this.elasticsearchService.deleteEmail(id);
+        return res.json({
+          success: true,
+          message: 'Email deleted successfully'
+        });
+      }
+
+      if (!this.imapSyncService.isAccountConnected(email.email)) {
+        return res.status(503).json({
+          error: 'Account is not connected',
+          details: `${email.email} must be connected to change messages on the server`
+        });
+      }
+
+      const result = await this.imapSyncService.trashEmail(email);
 
       res.json({
         success: true,
-        message: 'Email deleted successfully'
+        message: result.permanent ? 'Email deleted permanently' : 'Email moved to Trash',
+        data: result
       });
 
     } catch (error) {
@@ -244,7 +371,7 @@ class EmailRoutes {
       }
 
       const schema = Joi.object({
-        category: Joi.string().valid('Interested', 'Meeting Booked', 'Not Interested', 'Spam', 'Out of Office').required()
+        category: Joi.string().valid('Interested', 'Meeting Booked', 'Not Interested', 'Spam', 'Out of Office', 'Bounce').required()
       });
 
       const { error, value } = schema.validate({ category });
@@ -255,7 +382,18 @@ class EmailRoutes {
         });
       }
 
-      await this.elasticsearchService.updateEmailCategory(id, value.category);
+      const email = await this.elasticsearchService.getEmailById(id);
+      if (!email) {
+        return res.status(404).json({
+          error: 'Email not found'
+        });
+      }
+
+      // Applies to every copy of the message
+      await this.elasticsearchService.updateMessageCategory(email.canonicalId || email.id, value.category);
+
+      // Not Interested, Out of Office and Bounce end any follow-ups on the thread
+      await this.sequenceService.handleCategory(email, value.category);
 
       res.json({
         success: true,
@@ -271,6 +409,415 @@ class EmailRoutes {
       });
     }
   }
+
+  async updateEmailFlags(req, res) {
+    try {
+      const schema = Joi.object({
+        seen: Joi.boolean().optional(),
+        flagged: Joi.boolean().optional()
+      }).or('seen', 'flagged');
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation error',
+          details: error.details[0].message
+        });
+      }
+
+      const email = await this.getWritableEmail(req, res);
+      if (!email) return;
+
+      const flags = await this.imapSyncService.setEmailFlags(email, value);
+
+      res.json({
+        success: true,
+        message: 'Email flags updated successfully',
+        data: { flags: flags }
+      });
+
+    } catch (error) {
+      console.error('Error updating email flags:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to update email flags'
+      });
+    }
+  }
+
+  async moveEmail(req, res) {
+    try {
+      const schema = Joi.object({
+        folder: Joi.string().required()
+      });
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation error',
+          details: error.details[0].message
+        });
+      }
+
+      const email = await this.getWritableEmail(req, res);
+      if (!email) return;
+
+      const destination = this.imapSyncService.findMailbox(email.email, value.folder);
+      if (!destination) {
+        return res.status(404).json({
+          error: 'Folder not found',
+          details: `${email.email} has no folder named ${value.folder}`
+        });
+      }
+
+      const result = await this.imapSyncService.moveEmail(email, destination);
+
+      res.json({
+        success: true,
+        message: `Email moved to ${destination.folder}`,
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Error moving email:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to move email'
+      });
+    }
+  }
+
+  async archiveEmail(req, res) {
+    try {
+      const email = await this.getWritableEmail(req, res);
+      if (!email) return;
+
+      const destination = this.imapSyncService.findMailbox(email.email, 'Archive') ||
+        this.imapSyncService.findMailbox(email.email, 'All Mail');
+      if (!destination) {
+        return res.status(409).json({
+          error: 'No Archive folder',
+          details: `${email.email} has no Archive folder on the server`
+        });
+      }
+
+      const result = await this.imapSyncService.moveEmail(email, destination);
+
+      res.json({
+        success: true,
+        message: 'Email archived',
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Error archiving email:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to archive email'
+      });
+    }
+  }
+
+  async replyToEmail(req, res) {
+    try {
+      const schema = Joi.object({
+        text: Joi.string().trim().required(),
+        html: Joi.string().optional(),
+        replyAll: Joi.boolean().default(false),
+        cc: Joi.array().items(Joi.string().email()).default([]),
+        bcc: Joi.array().items(Joi.string().email()).default([]),
+        quote: Joi.boolean().default(true),
+        ...this.getScheduleKeys()
+      });
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation error',
+          details: error.details[0].message
+        });
+      }
+
+      // A scheduled reply only needs the account connected once it is sent
+      if (value.sendAt) {
+        const email = await this.elasticsearchService.getEmailById(req.params.id);
+        if (!email) {
+          return res.status(404).json({
+            error: 'Email not found'
+          });
+        }
+        return await this.scheduleEmail(res, 'reply', { ...value, emailId: email.id, account: email.email });
+      }
+
+      const email = await this.getWritableEmail(req, res);
+      if (!email) return;
+
+      const result = await this.sendService.reply(email, value);
+
+      res.json({
+        success: true,
+        message: result.savedToSent ? 'Reply sent' : 'Reply sent, but it could not be saved to Sent',
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Error sending reply:', error);
+      this.sendError(res, error, 'Failed to send reply');
+    }
+  }
+
+  async composeEmail(req, res) {
+    try {
+      if (!await this.parseUpload(req, res)) return;
+
+      const schema = Joi.object({
+        account: Joi.string().email().required(),
+        to: addressList.min(1).required(),
+        cc: addressList.default([]),
+        bcc: addressList.default([]),
+        subject: Joi.string().allow('').max(998).default(''),
+        text: Joi.string().allow('').default(''),
+        html: Joi.string().optional(),
+        ...this.getScheduleKeys()
+      });
+
+      const { error, value } = schema.validate(this.splitAddresses(req.body));
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation error',
+          details: error.details[0].message
+        });
+      }
+
+      if (value.sendAt) {
+        return await this.scheduleEmail(res, 'compose', value, req.files || []);
+      }
+
+      const result = await this.sendService.compose(value, req.files || []);
+
+      res.status(201).json({
+        success: true,
+        message: result.savedToSent ? 'Email sent' : 'Email sent, but it could not be saved to Sent',
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Error composing email:', error);
+      this.sendError(res, error, 'Failed to send email');
+    }
+  }
+
+  async forwardEmail(req, res) {
+    try {
+      if (!await this.parseUpload(req, res)) return;
+
+      const schema = Joi.object({
+        account: Joi.string().email().optional(),
+        to: addressList.min(1).required(),
+        cc: addressList.default([]),
+        bcc: addressList.default([]),
+        text: Joi.string().allow('').default(''),
+        html: Joi.string().optional(),
+        includeAttachments: Joi.boolean().default(true),
+        ...this.getScheduleKeys()
+      });
+
+      const { error, value } = schema.validate(this.splitAddresses(req.body));
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation error',
+          details: error.details[0].message
+        });
+      }
+
+      const email = await this.elasticsearchService.getEmailById(req.params.id);
+      if (!email) {
+        return res.status(404).json({
+          error: 'Email not found'
+        });
+      }
+
+      if (value.sendAt) {
+        return await this.scheduleEmail(res, 'forward', { ...value, emailId: email.id, account: value.account || email.email }, req.files || []);
+      }
+
+      const result = await this.sendService.forward(email, value, req.files || []);
+
+      res.status(201).json({
+        success: true,
+        message: result.savedToSent ? 'Email forwarded' : 'Email forwarded, but it could not be saved to Sent',
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Error forwarding email:', error);
+      this.sendError(res, error, 'Failed to forward email');
+    }
+  }
+
+  // `sendAt` (ISO 8601) holds the email in the outbox; without an offset it is local time in `timeZone`
+  getScheduleKeys() {
+    return {
+      sendAt: Joi.string().optional(),
+      timeZone: Joi.string().custom((value, helpers) =>
+        this.outboxService.isValidTimeZone(value) ? value : helpers.error('any.invalid')).optional()
+    };
+  }
+
+  async scheduleEmail(res, type, value, uploads = []) {
+    const sendAt = this.outboxService.resolveSendAt(value.sendAt, value.timeZone);
+    if (!sendAt || sendAt <= new Date()) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: '"sendAt" must be a future ISO 8601 date'
+      });
+    }
+
+    const item = await this.outboxService.schedule(type, { ...value, sendAt: sendAt }, uploads);
+
+    res.status(202).json({
+      success: true,
+      message: `Email scheduled for ${sendAt.toISOString()}`,
+      data: item
+    });
+  }
+
+  // Runs the multipart parser; false once an upload error response has been sent
+  async parseUpload(req, res) {
+    try {
+      await new Promise((resolve, reject) => this.upload(req, res, err => err ? reject(err) : resolve()));
+      return true;
+    } catch (error) {
+      if (error instanceof multer.MulterError) {
+        res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+          error: 'Upload error',
+          details: error.message
+        });
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  splitAddresses(body) {
+    const value = { ...body };
+    for (const field of ADDRESS_FIELDS) {
+      if (typeof value[field] === 'string') {
+        value[field] = value[field].split(',').map(address => address.trim()).filter(Boolean);
+      }
+    }
+    return value;
+  }
+
+  // Errors from sending: the request can't be sent (422), or the SMTP server refused it (502)
+  sendError(res, error, message) {
+    if (error.statusCode === 422 || error.statusCode === 502) {
+      return res.status(error.statusCode).json({
+        error: error.statusCode === 502 ? 'SMTP error' : 'Cannot send email',
+        details: error.message
+      });
+    }
+    res.status(500).json({
+      error: 'Internal server error',
+      message: message
+    });
+  }
+
+  async getAttachments(req, res) {
+    try {
+      const email = await this.elasticsearchService.getEmailById(req.params.id);
+
+      if (!email) {
+        return res.status(404).json({
+          error: 'Email not found'
+        });
+      }
+
+      const attachments = (email.attachments || []).map((attachment, index) => ({
+        index: index,
+        filename: attachment.filename,
+        contentType: attachment.contentType,
+        size: attachment.size,
+        hash: attachment.hash,
+        // Emails indexed before the attachment store existed have no stored content
+        available: Boolean(attachment.hash),
+        url: `${req.baseUrl}/${encodeURIComponent(email.id)}/attachments/${index}`
+      }));
+
+      res.json({
+        success: true,
+        data: {
+          attachments: attachments,
+          count: attachments.length
+        }
+      });
+
+    } catch (error) {
+      console.error('Error getting attachments:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to retrieve attachments'
+      });
+    }
+  }
+
+  async getAttachment(req, res) {
+    try {
+      const schema = Joi.object({
+        index: Joi.number().integer().min(0).required(),
+        disposition: Joi.string().valid('attachment', 'inline').default('attachment')
+      });
+
+      const { error, value } = schema.validate({ index: req.params.index, ...req.query });
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation error',
+          details: error.details[0].message
+        });
+      }
+
+      const email = await this.elasticsearchService.getEmailById(req.params.id);
+      const attachment = email?.attachments?.[value.index];
+
+      if (!attachment) {
+        return res.status(404).json({
+          error: 'Attachment not found'
+        });
+      }
+
+      if (!attachment.hash || !this.attachmentStore.exists(attachment.hash)) {
+        return res.status(404).json({
+          error: 'Attachment content not available'
+        });
+      }
+
+      // Only raster images are shown inline; anything else (HTML, SVG, PDF with scripts) is forced to download
+      const previewable = /^image\/(png|jpe?g|gif|webp|bmp)$/i.test(attachment.contentType || '');
+      const disposition = value.disposition === 'inline' && previewable ? 'inline' : 'attachment';
+      const filename = attachment.filename || `attachment-${value.index}`;
+
+      res.setHeader('Content-Type', attachment.contentType || 'application/octet-stream');
+      res.setHeader('Content-Disposition', contentDisposition(filename, { type: disposition }));
+
+      // sendFile handles Range / If-Range requests and caching headers
+      res.sendFile(this.attachmentStore.getPath(attachment.hash), (sendError) => {
+        if (sendError && !res.headersSent) {
+          console.error('Error sending attachment:', sendError);
+          res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to send attachment'
+          });
+        }
+      });
+
+    } catch (error) {
+      console.error('Error getting attachment:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to retrieve attachment'
+      });
+    }
+  }
 }
 
 module.exports = EmailRoutes;
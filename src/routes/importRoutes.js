@@ -0,0 +1,127 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const multer = require('multer');
+
+class ImportRoutes {
+  constructor(importService) {
+    this.router = express.Router();
+    this.importService = importService;
+    // Uploads go to disk: mbox exports can be far larger than we want to hold in memory
+    this.upload = multer({
+      dest: process.env.IMPORT_UPLOAD_DIR || path.join('data', 'imports'),
+      limits: {
+        fileSize: parseInt(process.env.IMPORT_MAX_FILE_SIZE) || 2 * 1024 * 1024 * 1024
+      }
+    }).array('files');
+    this.setupRoutes();
+  }
+
+  setupRoutes() {
+    // Upload .eml / .mbox files and start an import job
+    this.router.post('/', this.importFiles.bind(this));
+
+    // Import job status
+    this.router.get('/', this.getJobs.bind(this));
+    this.router.get('/:id', this.getJob.bind(this));
+  }
+
+  async importFiles(req, res) {
+    try {
+      try {
+        await new Promise((resolve, reject) => this.upload(req, res, err => err ? reject(err) : resolve()));
+      } catch (error) {
+        if (error instanceof multer.MulterError) {
+          return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+            error: 'Upload error',
+            details: error.message
+          });
+        }
+        throw error;
+      }
+
+      const files = req.files || [];
+      const schema = Joi.object({
+        categorize: Joi.boolean().default(false),
+        folder: Joi.string().trim().max(100).default('Imported')
+      });
+
+      const { error, value } = schema.validate(req.body);
+      if (error || files.length === 0) {
+        await Promise.all(files.map(file => fs.promises.unlink(file.path).catch(() => {})));
+        return res.status(400).json({
+          error: 'Validation error',
+          details: error ? error.details[0].message : 'At least one file is required in "files"'
+        });
+      }
+
+      const job = this.importService.start(files.map(file => ({
+        path: file.path,
+        name: file.originalname,
+        size: file.size,
+        temporary: true
+      })), value);
+
+      res.status(202).json({
+        success: true,
+        message: 'Import started',
+        data: job
+      });
+
+    } catch (error) {
+      console.error('Error starting import:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to start import'
+      });
+    }
+  }
+
+  async getJobs(req, res) {
+    try {
+      const jobs = this.importService.getJobs();
+
+      res.json({
+        success: true,
+        data: {
+          jobs: jobs,
+          count: jobs.length
+        }
+      });
+
+    } catch (error) {
+      console.error('Error getting import jobs:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to retrieve import jobs'
+      });
+    }
+  }
+
+  async getJob(req, res) {
+    try {
+      const job = this.importService.getJob(req.params.id);
+
+      if (!job) {
+        return res.status(404).json({
+          error: 'Import job not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: job
+      });
+
+    } catch (error) {
+      console.error('Error getting import job:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to retrieve import job'
+      });
+    }
+  }
+}
+
+module.exports = ImportRoutes;
@@ -0,0 +1,181 @@
+const express = require('express');
+const Joi = require('joi');
+
+class OutboxRoutes {
+  constructor(outboxService) {
+    this.router = express.Router();
+    this.outboxService = outboxService;
+    this.setupRoutes();
+  }
+
+  setupRoutes() {
+    // Scheduled, sent, failed and cancelled emails, next to go out first
+    this.router.get('/', this.getItems.bind(this));
+    this.router.get('/:id', this.getItem.bind(this));
+
+    // Stop a scheduled (or failed) email from going out
+    this.router.post('/:id/cancel', this.cancelItem.bind(this));
+
+    // Move the send time; also retries a failed email
+    this.router.post('/:id/reschedule', this.rescheduleItem.bind(this));
+  }
+
+  async getItems(req, res) {
+    try {
+      const schema = Joi.object({
+        status: Joi.string().valid('scheduled', 'sending', 'sent', 'failed', 'cancelled').optional(),
+        account: Joi.string().email().optional(),
+        emailId: Joi.string().optional(),
+        page: Joi.number().integer().min(1).default(1),
+        size: Joi.number().integer().min(1).max(100).default(20)
+      });
+
+      const { error, value } = schema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation error',
+          details: error.details[0].message
+        });
+      }
+
+      const result = await this.outboxService.list({
+        status: value.status,
+        account: value.account,
+        emailId: value.emailId,
+        from: (value.page - 1) * value.size,
+        size: value.size
+      });
+
+      res.json({
+        success: true,
+        data: {
+          items: result.hits,
+          pagination: {
+            page: value.page,
+            size: value.size,
+            total: result.total,
+            pages: Math.ceil(result.total / value.size)
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Error getting outbox:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to retrieve outbox'
+      });
+    }
+  }
+
+  async getItem(req, res) {
+    try {
+      const item = await this.outboxService.get(req.params.id);
+      if (!item) {
+        return res.status(404).json({
+          error: 'Outbox item not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: item
+      });
+
+    } catch (error) {
+      console.error('Error getting outbox item:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to retrieve outbox item'
+      });
+    }
+  }
+
+  async cancelItem(req, res) {
+    try {
+      const existing = await this.outboxService.get(req.params.id);
+      if (!existing) {
+        return res.status(404).json({
+          error: 'Outbox item not found'
+        });
+      }
+
+      const item = await this.outboxService.cancel(req.params.id);
+      if (!item) {
+        return res.status(409).json({
+          error: 'Cannot cancel email',
+          details: `Email is already ${(await this.outboxService.get(req.params.id)).status}`
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Scheduled email cancelled',
+        data: item
+      });
+
+    } catch (error) {
+      console.error('Error cancelling outbox item:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to cancel scheduled email'
+      });
+    }
+  }
+
+  async rescheduleItem(req, res) {
+    try {
+      const schema = Joi.object({
+        sendAt: Joi.string().required(),
+        timeZone: Joi.string().custom((value, helpers) =>
+          this.outboxService.isValidTimeZone(value) ? value : helpers.error('any.invalid')).optional()
+      });
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation error',
+          details: error.details[0].message
+        });
+      }
+
+      const sendAt = this.outboxService.resolveSendAt(value.sendAt, value.timeZone);
+      if (!sendAt || sendAt <= new Date()) {
+        return res.status(400).json({
+          error: 'Validation error',
+          details: '"sendAt" must be a future ISO 8601 date'
+        });
+      }
+
+      const existing = await this.outboxService.get(req.params.id);
+      if (!existing) {
+        return res.status(404).json({
+          error: 'Outbox item not found'
+        });
+      }
+
+      const item = await this.outboxService.reschedule(req.params.id, sendAt, value.timeZone);
+      if (!item) {
+        return res.status(409).json({
+          error: 'Cannot reschedule email',
+          details: `Email is already ${(await this.outboxService.get(req.params.id)).status}`
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Email rescheduled for ${sendAt.toISOString()}`,
+        data: item
+      });
+
+    } catch (error) {
+      console.error('Error rescheduling outbox item:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to reschedule email'
+      });
+    }
+  }
+}
+
+module.exports = OutboxRoutes;
@@ -1,10 +1,41 @@
 const express = require('express');
 const Joi = require('joi');
+const ImportService = require('../services/importService');
+
+// Criteria shared by advanced search and its export
+const ADVANCED_SEARCH_KEYS = {
+  query: Joi.string().allow('').optional(),
+  filters: Joi.object({
+    from: Joi.string().optional(),
+    to: Joi.string().optional(),
+    subject: Joi.string().optional(),
+    hasAttachments: Joi.boolean().optional(),
+    flags: Joi.array().items(Joi.string()).optional(),
+    sizeMin: Joi.number().integer().min(0).optional(),
+    sizeMax: Joi.number().integer().min(0).optional()
+  }).optional(),
+  dateRange: Joi.object({
+    from: Joi.date().optional(),
+    to: Joi.date().optional()
+  }).optional(),
+  accounts: Joi.array().items(Joi.string().email(), Joi.string().valid(ImportService.ACCOUNT)).optional(),
+  folders: Joi.array().items(Joi.string()).optional(),
+  categories: Joi.array().items(Joi.string()).optional(),
+  pagination: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    size: Joi.number().integer().min(1).max(100).default(20)
+  }).optional(),
+  sorting: Joi.object({
+    field: Joi.string().valid('date', 'subject', 'from', 'size', 'relevance').default('date'),
+    order: Joi.string().valid('asc', 'desc').default('desc')
+  }).optional()
+};
 
 class SearchRoutes {
-  constructor(elasticsearchService) {
+  constructor(elasticsearchService, exportService) {
     this.router = express.Router();
     this.elasticsearchService = elasticsearchService;
+    this.exportService = exportService;
     this.setupRoutes();
   }
 
@@ -14,6 +45,9 @@ class SearchRoutes {
     
     // Advanced search with multiple criteria
     this.router.post('/advanced', this.advancedSearch.bind(this));
+
+    // Download every advanced search match as CSV, JSONL, mbox or a zip of .eml files
+    this.router.post('/advanced/export', this.exportAdvancedSearch.bind(this));
     
     // Search suggestions/autocomplete
     this.router.get('/suggestions', this.getSearchSuggestions.bind(this));
@@ -26,7 +60,7 @@ class SearchRoutes {
     try {
       const schema = Joi.object({
         q: Joi.string().allow('').optional(),
-        email: Joi.string().email().optional(),
+        email: Joi.alternatives(Joi.string().email(), Joi.string().valid(ImportService.ACCOUNT)).optional(),
         folder: Joi.string().optional(),
         category: Joi.string().optional(),
         dateFrom: Joi.date().optional(),
@@ -89,31 +123,7 @@ class SearchRoutes {
   async advancedSearch(req, res) {
     try {
       const schema = Joi.object({
-        query: Joi.string().allow('').optional(),
-        filters: Joi.object({
-          from: Joi.string().optional(),
-          to: Joi.string().optional(),
-          subject: Joi.string().optional(),
-          hasAttachments: Joi.boolean().optional(),
-          flags: Joi.array().items(Joi.string()).optional(),
-          sizeMin: Joi.number().integer().min(0).optional(),
-          sizeMax: Joi.number().integer().min(0).optional()
-        }).optional(),
-        dateRange: Joi.object({
-          from: Joi.date().optional(),
-          to: Joi.date().optional()
-        }).optional(),
-        accounts: Joi.array().items(Joi.string().email()).optional(),
-        folders: Joi.array().items(Joi.string()).optional(),
-        categories: Joi.array().items(Joi.string()).optional(),
-        pagination: Joi.object({
-          page: Joi.number().integer().min(1).default(1),
-          size: Joi.number().integer().min(1).max(100).default(20)
-        }).optional(),
-        sorting: Joi.object({
-          field: Joi.string().valid('date', 'subject', 'from', 'size', 'relevance').default('date'),
-          order: Joi.string().valid('asc', 'desc').default('desc')
-        }).optional()
+        ...ADVANCED_SEARCH_KEYS
       });
 
       const { error, value } = schema.validate(req.body);
@@ -155,6 +165,34 @@ class SearchRoutes {
     }
   }
 
+  async exportAdvancedSearch(req, res) {
+    try {
+      const schema = Joi.object({
+        ...ADVANCED_SEARCH_KEYS,
+        format: Joi.string().valid(...this.exportService.getFormats()).required()
+      });
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation error',
+          details: error.details[0].message
+        });
+      }
+
+      // Pagination does not apply: the export covers every match
+      const { query, sort } = this.buildAdvancedSearchQuery(value);
+      await this.exportService.exportEmails(res, value.format, query, sort);
+
+    } catch (error) {
+      console.error('Error exporting advanced search:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to export search results'
+      });
+    }
+  }
+
   buildAdvancedSearchQuery(searchParams) {
     const query = {
       bool: {
@@ -163,16 +201,9 @@ class SearchRoutes {
       }
     };
 
-    // Text search
+    // Text search (message fields and attachment contents)
     if (searchParams.query) {
-      query.bool.must.push({
-        multi_match: {
-          query: searchParams.query,
-          fields: ['subject^3', 'from^2', 'to^2', 'text'],
-          type: 'best_fields',
-          fuzziness: 'AUTO'
-        }
-      });
+      query.bool.must.push(this.elasticsearchService.buildTextQuery(searchParams.query));
     } else {
       query.bool.must.push({ match_all: {} });
     }
@@ -258,10 +289,13 @@ class SearchRoutes {
       });
     }
 
+    // Relevance is the search score rather than a stored field
+    const sortField = searchParams.sorting?.field === 'relevance' ? '_score' : (searchParams.sorting?.field || 'date');
+
     return {
       query: query,
       sort: [
-        { [searchParams.sorting?.field || 'date']: { order: searchParams.sorting?.order || 'desc' } }
+        { [sortField]: { order: searchParams.sorting?.order || 'desc' } }
       ],
       size: searchParams.pagination?.size || 20,
       from: ((searchParams.pagination?.page || 1) - 1) * (searchParams.pagination?.size || 20)
@@ -310,7 +344,7 @@ class SearchRoutes {
   async searchByField(req, res) {
     try {
       const schema = Joi.object({
-        field: Joi.string().valid('from', 'to', 'subject', 'text').required(),
+        field: Joi.string().valid('from', 'to', 'subject', 'text', 'reply', 'quoted', 'signature').required(),
         value: Joi.string().required(),
         page: Joi.number().integer().min(1).default(1),
         size: Joi.number().integer().min(1).max(100).default(20)
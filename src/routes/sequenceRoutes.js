@@ -0,0 +1,187 @@
+const express = require('express');
+const Joi = require('joi');
+
+class SequenceRoutes {
+  constructor(sequenceService, elasticsearchService) {
+    this.router = express.Router();
+    this.sequenceService = sequenceService;
+    this.elasticsearchService = elasticsearchService;
+    this.setupRoutes();
+  }
+
+  setupRoutes() {
+    // Sequences with the status of each follow-up, newest first
+    this.router.get('/', this.getSequences.bind(this));
+    this.router.get('/:id', this.getSequence.bind(this));
+
+    // Start follow-ups on a sent email
+    this.router.post('/', this.createSequence.bind(this));
+
+    // Stop a sequence and cancel the follow-ups not sent yet
+    this.router.post('/:id/cancel', this.cancelSequence.bind(this));
+  }
+
+  async getSequences(req, res) {
+    try {
+      const schema = Joi.object({
+        status: Joi.string().valid('active', 'completed', 'stopped', 'cancelled').optional(),
+        account: Joi.string().email().optional(),
+        emailId: Joi.string().optional(),
+        page: Joi.number().integer().min(1).default(1),
+        size: Joi.number().integer().min(1).max(100).default(20)
+      });
+
+      const { error, value } = schema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation error',
+          details: error.details[0].message
+        });
+      }
+
+      const result = await this.sequenceService.list({
+        status: value.status,
+        account: value.account,
+        emailId: value.emailId,
+        from: (value.page - 1) * value.size,
+        size: value.size
+      });
+
+      res.json({
+        success: true,
+        data: {
+          sequences: result.hits,
+          pagination: {
+            page: value.page,
+            size: value.size,
+            total: result.total,
+            pages: Math.ceil(result.total / value.size)
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Error getting sequences:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to retrieve sequences'
+      });
+    }
+  }
+
+  async getSequence(req, res) {
+    try {
+      const sequence = await this.sequenceService.get(req.params.id);
+      if (!sequence) {
+        return res.status(404).json({
+          error: 'Sequence not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: sequence
+      });
+
+    } catch (error) {
+      console.error('Error getting sequence:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to retrieve sequence'
+      });
+    }
+  }
+
+  async createSequence(req, res) {
+    try {
+      const step = Joi.object({
+        delayDays: Joi.number().min(0).max(365).default(0),
+        delayHours: Joi.number().min(0).max(24 * 365).default(0),
+        text: Joi.string().trim().required(),
+        html: Joi.string().optional(),
+        replyAll: Joi.boolean().default(false),
+        quote: Joi.boolean().default(true)
+      }).custom((value, helpers) =>
+        value.delayDays + value.delayHours > 0 ? value : helpers.message('each step needs a "delayDays" or "delayHours" greater than 0'));
+
+      const schema = Joi.object({
+        emailId: Joi.string().required(),
+        steps: Joi.array().items(step).min(1).max(10).required(),
+        sendTime: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).optional()
+          .messages({ 'string.pattern.base': '"sendTime" must be a time of day such as 09:00' }),
+        timeZone: Joi.string().custom((value, helpers) =>
+          this.sequenceService.isValidTimeZone(value) ? value : helpers.error('any.invalid')).optional()
+      });
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation error',
+          details: error.details[0].message
+        });
+      }
+
+      const email = await this.elasticsearchService.getEmailById(value.emailId);
+      if (!email) {
+        return res.status(404).json({
+          error: 'Email not found'
+        });
+      }
+
+      const sequence = await this.sequenceService.create(email, value);
+
+      res.status(201).json({
+        success: true,
+        message: `Sequence started, first follow-up at ${new Date(sequence.steps[0].sendAt).toISOString()}`,
+        data: sequence
+      });
+
+    } catch (error) {
+      console.error('Error creating sequence:', error);
+      if (error.statusCode === 409 || error.statusCode === 422) {
+        return res.status(error.statusCode).json({
+          error: 'Cannot start sequence',
+          details: error.message
+        });
+      }
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to start sequence'
+      });
+    }
+  }
+
+  async cancelSequence(req, res) {
+    try {
+      const existing = await this.sequenceService.get(req.params.id);
+      if (!existing) {
+        return res.status(404).json({
+          error: 'Sequence not found'
+        });
+      }
+
+      const sequence = await this.sequenceService.cancel(req.params.id);
+      if (!sequence) {
+        return res.status(409).json({
+          error: 'Cannot cancel sequence',
+          details: `Sequence is already ${existing.status}`
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Sequence cancelled',
+        data: sequence
+      });
+
+    } catch (error) {
+      console.error('Error cancelling sequence:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to cancel sequence'
+      });
+    }
+  }
+}
+
+module.exports = SequenceRoutes;
@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const winston = require('winston');
+
+// Virtual or outgoing folders that would only duplicate mail synced elsewhere
+const DEFAULT_EXCLUDED_FOLDERS = ['All Mail', 'Starred', 'Important', 'Drafts', 'Trash'];
+
+const accountSchema = Joi.object({
+  email: Joi.string().email().required(),
+  user: Joi.string().optional(),
+  host: Joi.string().hostname().required(),
+  port: Joi.number().port().default(993),
+  tls: Joi.boolean().default(true),
+  auth: Joi.object({
+    method: Joi.string().valid('password', 'xoauth2').default('password'),
+    password: Joi.string().when('method', { is: 'password', then: Joi.required(), otherwise: Joi.forbidden() }),
+    // XOAUTH2: the refresh token lives here instead of a password
+    provider: Joi.string().valid('google', 'microsoft').when('method', { is: 'xoauth2', otherwise: Joi.forbidden() }),
+    tokenUrl: Joi.string().uri().when('method', { is: 'xoauth2', otherwise: Joi.forbidden() }),
+    tenant: Joi.string().when('provider', { is: 'microsoft', otherwise: Joi.forbidden() }),
+    clientId: Joi.string().when('method', { is: 'xoauth2', then: Joi.required(), otherwise: Joi.forbidden() }),
+    clientSecret: Joi.string().when('method', { is: 'xoauth2', otherwise: Joi.forbidden() }),
+    refreshToken: Joi.string().when('method', { is: 'xoauth2', then: Joi.required(), otherwise: Joi.forbidden() }),
+    scope: Joi.string().when('method', { is: 'xoauth2', otherwise: Joi.forbidden() })
+  }).when('.method', { is: 'xoauth2', then: Joi.object().or('provider', 'tokenUrl') }).required(),
+  // Outgoing server; defaults are derived from the IMAP host (see SmtpService) and use the same credentials
+  smtp: Joi.object({
+    host: Joi.string().hostname().optional(),
+    port: Joi.number().port().optional(),
+    secure: Joi.boolean().optional(),
+    // Gmail and Outlook file messages sent over SMTP in Sent themselves
+    appendToSent: Joi.boolean().optional()
+  }).optional(),
+  folders: Joi.object({
+    include: Joi.array().items(Joi.string()).allow(null).default(null),
+    exclude: Joi.array().items(Joi.string()).default(DEFAULT_EXCLUDED_FOLDERS)
+  }).default(),
+  // How far back the initial backfill goes: a number of days, or 'all' for the whole mailbox
+  backfillDays: Joi.alternatives(Joi.number().integer().min(1), Joi.string().valid('all')).default(30),
+  enabled: Joi.boolean().default(true)
+});
+
+class AccountService {
+  constructor() {
+    this.accountsFile = process.env.ACCOUNTS_FILE || path.join('config', 'accounts.json');
+    this.accounts = new Map();
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/accounts.log' }),
+        new winston.transports.Console()
+      ]
+    });
+  }
+
+  async load() {
+    try {
+      let rawAccounts;
+
+      if (fs.existsSync(this.accountsFile)) {
+        rawAccounts = JSON.parse(await fs.promises.readFile(this.accountsFile, 'utf8'));
+        if (!Array.isArray(rawAccounts)) {
+          throw new Error(`${this.accountsFile} must contain an array of accounts`);
+        }
+        this.logger.info(`Loading ${rawAccounts.length} accounts from ${this.accountsFile}`);
+      } else {
+        rawAccounts = this.loadFromEnvironment();
+        this.logger.info(`${this.accountsFile} not found, loaded ${rawAccounts.length} accounts from EMAIL_ACCOUNTS`);
+      }
+
+      this.accounts.clear();
+      for (const rawAccount of rawAccounts) {
+        const account = this.validateAccount(rawAccount);
+        if (this.accounts.has(account.email)) {
+          throw new Error(`Duplicate account: ${account.email}`);
+        }
+        this.accounts.set(account.email, account);
+      }
+
+      return this.list();
+
+    } catch (error) {
+      this.logger.error('Failed to load accounts:', error);
+      throw error;
+    }
+  }
+
+  // Legacy configuration: comma-separated EMAIL_ACCOUNTS / EMAIL_PASSWORDS sharing one IMAP server
+  loadFromEnvironment() {
+    const emailAccounts = process.env.EMAIL_ACCOUNTS?.split(',').filter(Boolean) || [];
+    const emailPasswords = process.env.EMAIL_PASSWORDS?.split(',') || [];
+
+    if (emailAccounts.length !== emailPasswords.length) {
+      throw new Error('Email accounts and passwords count mismatch');
+    }
+
+    const folders = {};
+    if (process.env.IMAP_INCLUDE_FOLDERS) {
+      folders.include = process.env.IMAP_INCLUDE_FOLDERS.split(',').map(folder => folder.trim()).filter(Boolean);
+    }
+    if (process.env.IMAP_EXCLUDE_FOLDERS) {
+      folders.exclude = process.env.IMAP_EXCLUDE_FOLDERS.split(',').map(folder => folder.trim()).filter(Boolean);
+    }
+
+    return emailAccounts.map((email, i) => ({
+      email: email.trim(),
+      host: process.env.IMAP_HOST || 'imap.gmail.com',
+      port: parseInt(process.env.IMAP_PORT) || 993,
+      tls: process.env.IMAP_SECURE === 'true',
+      auth: {
+        method: 'password',
+        password: emailPasswords[i].trim()
+      },
+      smtp: process.env.SMTP_HOST ? {
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || undefined,
+        secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : undefined
+      } : undefined,
+      folders: folders,
+      backfillDays: process.env.BACKFILL_DAYS || undefined
+    }));
+  }
+
+  validateAccount(rawAccount) {
+    const { error, value } = accountSchema.validate(rawAccount);
+    if (error) {
+      throw new Error(`Invalid account configuration${rawAccount?.email ? ` for ${rawAccount.email}` : ''}: ${error.details[0].message}`);
+    }
+    return value;
+  }
+
+  async save() {
+    try {
+      await fs.promises.mkdir(path.dirname(this.accountsFile), { recursive: true });
+
+      // Write to a temp file first so a crash never leaves a truncated config behind
+      const tmpFile = `${this.accountsFile}.tmp`;
+      await fs.promises.writeFile(tmpFile, JSON.stringify(this.list(), null, 2), { mode: 0o600 });
+      await fs.promises.rename(tmpFile, this.accountsFile);
+
+      this.logger.info(`Saved ${this.accounts.size} accounts to ${this.accountsFile}`);
+    } catch (error) {
+      this.logger.error('Failed to save accounts:', error);
+      throw error;
+    }
+  }
+
+  async add(rawAccount) {
+    const account = this.validateAccount(rawAccount);
+    if (this.accounts.has(account.email)) {
+      throw new Error(`Account already exists: ${account.email}`);
+    }
+
+    this.accounts.set(account.email, account);
+    await this.save();
+    this.logger.info(`Added account: ${account.email}`);
+    return account;
+  }
+
+  async update(email, changes) {
+    const existing = this.accounts.get(email);
+    if (!existing) {
+      throw new Error(`Account not found: ${email}`);
+    }
+
+    const account = this.validateAccount({ ...existing, ...changes, email: email });
+    this.accounts.set(email, account);
+    await this.save();
+    return account;
+  }
+
+  async remove(email) {
+    if (!this.accounts.delete(email)) {
+      return false;
+    }
+
+    await this.save();
+    this.logger.info(`Removed account: ${email}`);
+    return true;
+  }
+
+  list() {
+    return Array.from(this.accounts.values());
+  }
+
+  get(email) {
+    return this.accounts.get(email) || null;
+  }
+
+  // Account settings without credentials, for API responses
+  toPublic(account) {
+    const { auth, ...settings } = account;
+    return {
+      ...settings,
+      auth: { method: auth.method, provider: auth.provider }
+    };
+  }
+}
+
+module.exports = AccountService;
@@ -1,6 +1,8 @@
 const OpenAI = require('openai');
 const winston = require('winston');
 const VectorDatabaseService = require('./vectorDatabaseService');
+const ReplyExtractionService = require('./replyExtractionService');
+const { withRetry } = require('../utils/retry');
 
 class AICategorizationService {
   constructor() {
@@ -8,6 +10,7 @@ class AICategorizationService {
       apiKey: process.env.OPENAI_API_KEY
     });
     this.vectorDB = new VectorDatabaseService();
+    this.replyExtraction = new ReplyExtractionService();
     this.logger = winston.createLogger({
       level: 'info',
       format: winston.format.combine(
@@ -25,7 +28,9 @@ class AICategorizationService {
       'Meeting Booked',
       'Not Interested',
       'Spam',
-      'Out of Office'
+      'Out of Office',
+      // Only assigned from delivery status notifications, never by the model
+      'Bounce'
     ];
   }
 
@@ -42,7 +47,8 @@ class AICategorizationService {
 
       const prompt = this.buildCategorizationPrompt(emailData);
       
-      const response = await this.openai.chat.completions.create({
+      // Rate limits are common during large syncs; retries are ours so they are counted and logged once
+      const response = await withRetry(() => this.openai.chat.completions.create({
         model: 'gpt-3.5-turbo',
         messages: [
           {
@@ -56,6 +62,8 @@ class AICategorizationService {
         ],
         max_tokens: 50,
         temperature: 0.3
+      }, { maxRetries: 0 }), {
+        onRetry: (error, attempt, delay) => this.logger.warn(`Retrying categorization (attempt ${attempt}, ${delay}ms): ${error.message}`)
       });
 
       const category = response.choices[0].message.content.trim();
@@ -82,7 +90,7 @@ From: ${emailData.from}
 To: ${emailData.to}
 Subject: ${emailData.subject}
 Date: ${emailData.date}
-Content: ${emailData.text.substring(0, 1000)}...
+Content: ${this.getNewContent(emailData).substring(0, 1000)}...
 
 Please categorize this email into one of the following categories:
 - Interested: The email shows genuine interest in a product, service, or opportunity
@@ -94,18 +102,33 @@ Please categorize this email into one of the following categories:
 Category:`;
   }
 
+  // Only what the sender wrote: quoted outreach below a reply would otherwise read as their interest.
+  // Emails from the API may only have `text`; a bare forward has no reply and keeps its full text.
+  getNewContent(emailData) {
+    const reply = emailData.reply ?? this.replyExtraction.extract(emailData.text).reply;
+    return reply || emailData.text || '';
+  }
+
   async generateSuggestedReply(emailData, trainingData) {
+    const { reply } = await this.generateReplyWithContext(emailData, trainingData);
+    return reply;
+  }
+
+  // -> { reply, trainingSnippets, generated }; `trainingSnippets` are the stored training data the
+  // reply was based on, and `generated` is false when `reply` is only an error message
+  async generateReplyWithContext(emailData, trainingData) {
     try {
       if (!process.env.OPENAI_API_KEY) {
         this.logger.warn('OpenAI API key not configured, cannot generate reply');
-        return 'AI reply generation not available';
+        return { reply: 'AI reply generation not available', trainingSnippets: [], generated: false };
       }
 
       // Use RAG to find relevant training data
       let relevantContext = '';
+      let relevantData = [];
       if (this.vectorDB.isInitialized()) {
-        const relevantData = await this.vectorDB.findRelevantTrainingData(
-          `${emailData.subject} ${emailData.text}`,
+        relevantData = await this.vectorDB.findRelevantTrainingData(
+          `${emailData.subject} ${this.getNewContent(emailData)}`,
           3
         );
         
@@ -138,11 +161,11 @@ Category:`;
       const suggestedReply = response.choices[0].message.content.trim();
       
       this.logger.info(`Generated suggested reply for email: ${emailData.subject}`);
-      return suggestedReply;
+      return { reply: suggestedReply, trainingSnippets: relevantData, generated: true };
 
     } catch (error) {
       this.logger.error('Error generating suggested reply:', error);
-      return 'Error generating reply. Please try again.';
+      return { reply: 'Error generating reply. Please try again.', trainingSnippets: [], generated: false };
     }
   }
 
@@ -151,7 +174,7 @@ Category:`;
 Original Email:
 From: ${emailData.from}
 Subject: ${emailData.subject}
-Content: ${emailData.text}
+Content: ${this.getNewContent(emailData)}
 
 Training Data/Context:
 ${trainingData}
@@ -272,6 +295,20 @@ Suggested Reply:`;
     }
   }
 
+  async deleteEmailContexts(emailIds) {
+    try {
+      if (!this.vectorDB.isInitialized()) {
+        return false;
+      }
+
+      return await this.vectorDB.deleteEmailContexts(emailIds);
+
+    } catch (error) {
+      this.logger.error('Error deleting email context:', error);
+      return false;
+    }
+  }
+
   async getVectorDatabaseStats() {
     try {
       if (!this.vectorDB.isInitialized()) {
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const winston = require('winston');
+const AttachmentTextService = require('./attachmentTextService');
+
+// Content-addressed store: every attachment body is saved once under its SHA-256,
+// so the same file attached to many emails (or synced from several folders) takes no extra space
+class AttachmentStoreService {
+  constructor() {
+    this.baseDir = process.env.ATTACHMENTS_DIR || path.join('data', 'attachments');
+    this.textExtractor = new AttachmentTextService();
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/attachments.log' }),
+        new winston.transports.Console()
+      ]
+    });
+  }
+
+  // Parsed mailparser attachments -> the metadata (and searchable text) stored in the `attachments` field
+  async saveAttachments(attachments) {
+    const saved = [];
+    for (const attachment of attachments || []) {
+      const { hash, size } = await this.save(attachment.content);
+      const text = await this.textExtractor.extractText(attachment.content, attachment.contentType, attachment.filename);
+      saved.push({
+        filename: attachment.filename || null,
+        contentType: attachment.contentType || 'application/octet-stream',
+        size: size,
+        hash: hash,
+        ...(text && { text: text })
+      });
+    }
+    return saved;
+  }
+
+  async save(content) {
+    const hash = crypto.createHash('sha256').update(content).digest('hex');
+    const filePath = this.getPath(hash);
+
+    try {
+      if (!fs.existsSync(filePath)) {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+        // Write under a unique temp name so concurrent saves of the same body never see a partial file
+        const tmpFile = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        await fs.promises.writeFile(tmpFile, content);
+        await fs.promises.rename(tmpFile, filePath);
+
+        this.logger.debug(`Stored attachment ${hash} (${content.length} bytes)`);
+      }
+
+      return { hash: hash, size: content.length };
+    } catch (error) {
+      this.logger.error(`Error storing attachment ${hash}:`, error);
+      throw error;
+    }
+  }
+
+  getPath(hash) {
+    if (!/^[a-f0-9]{64}$/.test(hash)) {
+      throw new Error(`Invalid attachment hash: ${hash}`);
+    }
+    return path.resolve(this.baseDir, hash.slice(0, 2), hash);
+  }
+
+  exists(hash) {
+    return fs.existsSync(this.getPath(hash));
+  }
+}
+
+module.exports = AttachmentStoreService;
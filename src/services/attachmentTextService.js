@@ -0,0 +1,72 @@
+const path = require('path');
+const winston = require('winston');
+// The package entry point runs a self-test when it is not required by another module
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const mammoth = require('mammoth');
+const { convert: htmlToText } = require('html-to-text');
+
+const EXTRACTORS = {
+  pdf: async (content) => (await pdfParse(content)).text,
+  docx: async (content) => (await mammoth.extractRawText({ buffer: content })).value,
+  html: async (content) => htmlToText(content.toString('utf8'), { wordwrap: false }),
+  text: async (content) => content.toString('utf8')
+};
+
+const TYPES_BY_MIME = {
+  'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'text/html': 'html',
+  'text/plain': 'text',
+  'text/csv': 'text'
+};
+
+const TYPES_BY_EXTENSION = {
+  '.pdf': 'pdf',
+  '.docx': 'docx',
+  '.html': 'html',
+  '.htm': 'html',
+  '.txt': 'text',
+  '.csv': 'text'
+};
+
+class AttachmentTextService {
+  constructor() {
+    this.maxSize = parseInt(process.env.ATTACHMENT_TEXT_MAX_SIZE) || 10 * 1024 * 1024;
+    this.maxLength = parseInt(process.env.ATTACHMENT_TEXT_MAX_LENGTH) || 100000;
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/attachment-text.log' }),
+        new winston.transports.Console()
+      ]
+    });
+  }
+
+  // Mail clients often send documents as application/octet-stream, so fall back to the file extension
+  getType(contentType, filename) {
+    const mimeType = (contentType || '').split(';')[0].trim().toLowerCase();
+    return TYPES_BY_MIME[mimeType] || TYPES_BY_EXTENSION[path.extname(filename || '').toLowerCase()] || null;
+  }
+
+  async extractText(content, contentType, filename) {
+    const type = this.getType(contentType, filename);
+    if (!type || content.length > this.maxSize) {
+      return null;
+    }
+
+    try {
+      const text = (await EXTRACTORS[type](content)).replace(/\s+/g, ' ').trim();
+      return text ? text.slice(0, this.maxLength) : null;
+    } catch (error) {
+      // A corrupt or encrypted document should not stop the email from being indexed
+      this.logger.warn(`Could not extract text from ${filename || contentType}: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+module.exports = AttachmentTextService;
@@ -0,0 +1,171 @@
+const winston = require('winston');
+
+// Subjects that mail clients put on automatic replies, e.g. "Automatic reply: Re: Pricing"
+const AUTO_REPLY_SUBJECT = /^\s*(automatic reply|auto[- ]?reply|auto[- ]?response|out of (the )?office( reply)?|autosvar|abwesenheitsnotiz|réponse automatique|respuesta automática)\s*:/i;
+
+// Bounces from servers that do not send RFC 3464 delivery status notifications
+const BOUNCE_SENDER = /^(mailer-daemon|postmaster|mail-daemon)@/i;
+const BOUNCE_SUBJECT = /(undeliverable|undelivered mail|delivery status notification|delivery (has )?failed|mail delivery failed|returned mail|failure notice|delivery failure|could not be delivered|non[- ]?delivery)/i;
+
+// Out-of-office replies and delivery failures are recognized from their headers (RFC 3834
+// Auto-Submitted, X-Autoreply, Precedence) and from multipart/report delivery status
+// notifications (RFC 3464), so they never need to go to the LLM.
+class AutoResponseService {
+  constructor() {
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/auto-response.log' }),
+        new winston.transports.Console()
+      ]
+    });
+  }
+
+  // Parsed mailparser message -> { category, autoResponse, bounce? } to merge into the index
+  // document, or null for a message that needs categorizing
+  detect(parsed) {
+    try {
+      const headers = parsed.headers || new Map();
+      const contentType = headers.get('content-type');
+      const isReport = contentType?.value === 'multipart/report' &&
+        /delivery-status/i.test(contentType.params?.['report-type'] || '');
+
+      if (isReport) {
+        const bounce = this.parseDeliveryStatus(parsed);
+        // A report that only confirms delivery is not a bounce, nor an out-of-office reply
+        return bounce ? this.toResult('Bounce', 'bounce', 'Content-Type: multipart/report', bounce) : null;
+      }
+
+      const failedRecipients = this.getHeader(headers, 'x-failed-recipients');
+      if (failedRecipients) {
+        return this.toResult('Bounce', 'bounce', 'X-Failed-Recipients', {
+          type: 'hard',
+          reportingMta: null,
+          recipients: failedRecipients.split(',').map(recipient => ({
+            recipient: recipient.trim().toLowerCase(),
+            action: 'failed',
+            status: null,
+            diagnosticCode: null
+          })).filter(entry => entry.recipient)
+        });
+      }
+
+      const sender = parsed.from?.value?.[0]?.address || '';
+      if (BOUNCE_SENDER.test(sender) && BOUNCE_SUBJECT.test(parsed.subject || '')) {
+        return this.toResult('Bounce', 'bounce', `From: ${sender}`, {
+          type: 'hard',
+          reportingMta: null,
+          recipients: []
+        });
+      }
+
+      const reason = this.getAutoReplyReason(headers, parsed.subject || '');
+      return reason ? this.toResult('Out of Office', 'out-of-office', reason) : null;
+
+    } catch (error) {
+      this.logger.error(`Error detecting auto-response for ${parsed.messageId}:`, error);
+      return null;
+    }
+  }
+
+  getAutoReplyReason(headers, subject) {
+    const autoSubmitted = this.getHeader(headers, 'auto-submitted').toLowerCase();
+    if (autoSubmitted.startsWith('auto-replied')) {
+      return `Auto-Submitted: ${autoSubmitted}`;
+    }
+
+    for (const name of ['x-autoreply', 'x-autorespond', 'x-autoresponder']) {
+      const value = this.getHeader(headers, name).toLowerCase();
+      if (value && value !== 'no' && value !== 'false') {
+        return `${name}: ${value}`;
+      }
+    }
+
+    const precedence = this.getHeader(headers, 'precedence').toLowerCase();
+    if (precedence === 'auto_reply') {
+      return `Precedence: ${precedence}`;
+    }
+
+    // Notifications and newsletters are auto-generated too; only count them when the subject says reply
+    if (AUTO_REPLY_SUBJECT.test(subject)) {
+      if (autoSubmitted && autoSubmitted !== 'no') return `Auto-Submitted: ${autoSubmitted}`;
+      if (headers.has('x-auto-response-suppress')) return 'X-Auto-Response-Suppress';
+      return 'Subject';
+    }
+
+    return null;
+  }
+
+  // The delivery-status part, as an attachment or (as mailparser usually leaves it) inside the text
+  parseDeliveryStatus(parsed) {
+    const part = (parsed.attachments || []).find(attachment =>
+      /^message\/(global-)?delivery-status$/i.test(attachment.contentType || ''));
+    const source = part ? part.content.toString('utf8') : (parsed.text || '');
+
+    // Unfold continuation lines, then read the per-message and per-recipient field groups
+    const groups = source.replace(/\r\n/g, '\n').replace(/\n[ \t]+/g, ' ').split(/\n\s*\n/)
+      .map(group => this.parseFields(group));
+
+    const reportingMta = this.stripType(groups.find(fields => fields['reporting-mta'])?.['reporting-mta']);
+    const recipients = groups
+      .filter(fields => fields['final-recipient'] || fields['original-recipient'])
+      .map(fields => ({
+        recipient: this.stripType(fields['final-recipient'] || fields['original-recipient']).toLowerCase(),
+        action: (fields.action || '').toLowerCase() || null,
+        status: (fields.status || '').match(/\d\.\d{1,3}\.\d{1,3}/)?.[0] || null,
+        diagnosticCode: this.stripType(fields['diagnostic-code']) || null
+      }))
+      .filter(entry => entry.action === 'failed' || entry.action === 'delayed');
+
+    if (recipients.length === 0) {
+      return null;
+    }
+
+    // 5.x.x is permanent; 4.x.x and delay warnings may still be delivered
+    const hard = recipients.some(entry => entry.action === 'failed' && !entry.status?.startsWith('4'));
+    return {
+      type: hard ? 'hard' : 'soft',
+      reportingMta: reportingMta || null,
+      recipients: recipients
+    };
+  }
+
+  parseFields(group) {
+    const fields = {};
+    for (const line of group.split('\n')) {
+      const match = line.match(/^([A-Za-z][\w-]*):\s*(.*)$/);
+      if (match) {
+        fields[match[1].toLowerCase()] = match[2].trim();
+      }
+    }
+    return fields;
+  }
+
+  // "rfc822; user@example.com" -> "user@example.com", "smtp; 550 ..." -> "550 ..."
+  stripType(value) {
+    return (value || '').replace(/^[\w-]+;\s*/, '').trim();
+  }
+
+  getHeader(headers, name) {
+    const value = headers.get(name);
+    if (!value) return '';
+    return String(typeof value === 'object' ? value.value || value.text || '' : value).trim();
+  }
+
+  toResult(category, type, reason, bounce) {
+    return {
+      category: category,
+      autoResponse: {
+        type: type,
+        reason: reason
+      },
+      ...(bounce && { bounce: bounce })
+    };
+  }
+}
+
+module.exports = AutoResponseService;
@@ -0,0 +1,302 @@
+const moment = require('moment');
+const winston = require('winston');
+
+// Historical sync runs as a background job per account and folder, newest messages first and a
+// batch at a time, so the connection is free for new mail in between. Progress is kept in the
+// folder's sync state (`backfill.cursor` is the highest UID still to fetch), so a job picks up
+// where it left off after a reconnect or restart.
+class BackfillService {
+  constructor(imapSyncService) {
+    this.imapSyncService = imapSyncService;
+    this.batchSize = parseInt(process.env.BACKFILL_BATCH_SIZE) || 50;
+    this.jobs = new Map();
+    this.workers = new Map();
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/backfill.log' }),
+        new winston.transports.Console()
+      ]
+    });
+  }
+
+  // `backfillDays` is a number of days or 'all'
+  buildBackfillState(backfillDays, cursor) {
+    return {
+      since: backfillDays === 'all' ? null : moment().subtract(backfillDays, 'days').startOf('day').toISOString(),
+      cursor: cursor,
+      completed: cursor === 0,
+      paused: false
+    };
+  }
+
+  // Queues (or re-queues) the job recorded in a folder's sync state
+  enqueue(email, mailbox, state) {
+    if (!state.backfill || state.backfill.completed) {
+      return null;
+    }
+
+    const key = this.imapSyncService.checkpointKey(email, mailbox.path);
+    const previous = this.jobs.get(key);
+    const job = {
+      email: email,
+      mailbox: mailbox.path,
+      folder: mailbox.folder,
+      since: state.backfill.since,
+      status: state.backfill.paused ? 'paused' : 'queued',
+      total: previous && previous.since === state.backfill.since ? previous.total : null,
+      fetched: previous && previous.since === state.backfill.since ? previous.fetched : 0,
+      startedAt: null,
+      runningMs: 0,
+      eta: null,
+      error: null,
+      updatedAt: new Date()
+    };
+    this.jobs.set(key, job);
+
+    this.emitProgress(job);
+    this.runWorker(email);
+    return job;
+  }
+
+  // Starts a new backfill over a different window for the given folders (default: every synced folder)
+  async start(account, { backfillDays, folders } = {}) {
+    const { email } = account;
+    const days = backfillDays || account.backfillDays;
+    const mailboxes = (this.imapSyncService.mailboxes.get(email) || [])
+      .filter(mailbox => !folders || folders.some(folder =>
+        folder.toLowerCase() === mailbox.path.toLowerCase() || folder.toLowerCase() === mailbox.folder.toLowerCase()
+      ));
+
+    const started = [];
+    for (const mailbox of mailboxes) {
+      const state = this.imapSyncService.checkpoints.get(this.imapSyncService.checkpointKey(email, mailbox.path));
+      if (!state) continue;
+
+      state.backfill = this.buildBackfillState(days, state.lastUid);
+      await this.imapSyncService.elasticsearchService.saveSyncState(state);
+      const job = this.enqueue(email, mailbox, state);
+      if (job) started.push(job);
+    }
+
+    this.logger.info(`Started ${days === 'all' ? 'full' : `${days}-day`} backfill for ${email} (${started.length} folders)`);
+    return this.getJobs(email);
+  }
+
+  async pause(email) {
+    return this.setPaused(email, true);
+  }
+
+  async resume(email) {
+    const jobs = await this.setPaused(email, false);
+    this.runWorker(email);
+    return jobs;
+  }
+
+  async setPaused(email, paused) {
+    for (const [key, job] of this.jobs) {
+      if (job.email !== email || job.status === 'completed') continue;
+
+      const state = this.imapSyncService.checkpoints.get(key);
+      if (state?.backfill) {
+        state.backfill.paused = paused;
+        await this.imapSyncService.elasticsearchService.saveSyncState(state);
+      }
+
+      // A running batch finishes first; the worker stops before the next one
+      job.status = paused ? 'paused' : 'queued';
+      job.eta = null;
+      job.updatedAt = new Date();
+      this.emitProgress(job);
+    }
+    return this.getJobs(email);
+  }
+
+  // One worker per account: folders are backfilled one after another over the shared connection
+  runWorker(email) {
+    if (this.workers.has(email)) {
+      return;
+    }
+
+    const worker = (async () => {
+      let job;
+      // A job paused and resumed during a batch is queued again and picked up by the next pass
+      while ((job = this.nextJob(email))) {
+        if (!await this.runJob(job)) {
+          // The connection went away; the job is queued again once the account reconnects
+          if (job.status === 'queued' || job.status === 'running') {
+            job.status = 'waiting';
+            this.emitProgress(job);
+          }
+          break;
+        }
+      }
+    })().catch(error => {
+      this.logger.error(`Backfill worker for ${email} failed:`, error);
+    }).finally(() => {
+      this.workers.delete(email);
+    });
+
+    this.workers.set(email, worker);
+  }
+
+  nextJob(email) {
+    const jobs = Array.from(this.jobs.values()).filter(job => job.email === email && job.status === 'queued');
+    // INBOX first, as it is what users look at
+    return jobs.find(job => job.mailbox === 'INBOX') || jobs[0] || null;
+  }
+
+  // Resolves to false when the job stopped because the account is not connected
+  async runJob(job) {
+    const sync = this.imapSyncService;
+    const imap = sync.connections.get(job.email);
+    const mailbox = (sync.mailboxes.get(job.email) || []).find(candidate => candidate.path === job.mailbox);
+    const key = sync.checkpointKey(job.email, job.mailbox);
+    if (!imap || !mailbox || !sync.checkpoints.get(key)) {
+      return false;
+    }
+
+    job.status = 'running';
+    job.startedAt = job.startedAt || new Date();
+    this.emitProgress(job);
+
+    try {
+      const state = sync.checkpoints.get(key);
+      const criteria = [['UID', `1:${state.backfill.cursor}`]];
+      if (state.backfill.since) {
+        criteria.push(['SINCE', moment(state.backfill.since).format('DD-MMM-YYYY')]);
+      }
+
+      // Skip what is already indexed, e.g. after a restart or when widening the window
+      const [found, indexed] = await Promise.all([
+        sync.withMailbox(job.email, imap, job.mailbox, () => sync.search(imap, criteria)),
+        sync.elasticsearchService.getMailboxMessages(job.email, job.mailbox)
+      ]);
+      const indexedUids = new Set(indexed.map(message => message.uid));
+      const pending = found
+        .filter(uid => uid <= state.backfill.cursor && !indexedUids.has(uid))
+        .sort((a, b) => b - a);
+
+      job.total = job.total === null ? pending.length : job.fetched + pending.length;
+      this.logger.info(`Backfilling ${pending.length} emails for ${job.email}/${job.mailbox}`);
+
+      while (pending.length > 0) {
+        if (sync.connections.get(job.email) !== imap) {
+          return false;
+        }
+        if (job.status !== 'running') {
+          return true;
+        }
+
+        const batch = pending.splice(0, this.batchSize);
+        const batchStartedAt = Date.now();
+        // Old mail: indexed and categorized, but not announced as new
+        await sync.withMailbox(job.email, imap, job.mailbox, () => sync.fetchMessages(job.email, imap, mailbox, batch, { notify: false }));
+
+        // The checkpoint object may have been replaced after a reconnect
+        const current = sync.checkpoints.get(key);
+        if (!current?.backfill) {
+          return false;
+        }
+        current.backfill.cursor = Math.min(...batch) - 1;
+        await sync.elasticsearchService.saveSyncState(current);
+
+        job.fetched += batch.length;
+        job.runningMs += Date.now() - batchStartedAt;
+        job.eta = new Date(Date.now() + (job.runningMs / job.fetched) * pending.length);
+        job.updatedAt = new Date();
+        this.emitProgress(job);
+      }
+
+      const current = sync.checkpoints.get(key);
+      if (current?.backfill) {
+        current.backfill.cursor = 0;
+        current.backfill.completed = true;
+        await sync.elasticsearchService.saveSyncState(current);
+      }
+
+      job.status = 'completed';
+      job.eta = null;
+      job.updatedAt = new Date();
+      this.emitProgress(job);
+      this.logger.info(`Completed backfill for ${job.email}/${job.mailbox}: ${job.fetched} emails`);
+
+    } catch (error) {
+      if (sync.connections.get(job.email) !== imap) {
+        // Errors caused by the connection dropping are retried after reconnect
+        return false;
+      }
+      job.status = 'failed';
+      job.error = error.message;
+      job.updatedAt = new Date();
+      this.emitProgress(job);
+      this.logger.error(`Backfill failed for ${job.email}/${job.mailbox}:`, error);
+    }
+    return true;
+  }
+
+  removeAccount(email) {
+    for (const [key, job] of this.jobs) {
+      if (job.email === email) {
+        job.status = 'cancelled';
+        this.jobs.delete(key);
+      }
+    }
+  }
+
+  getJobs(email) {
+    return Array.from(this.jobs.values())
+      .filter(job => !email || job.email === email)
+      .map(job => this.toPublic(job));
+  }
+
+  // Totals across an account's folders, for account status responses
+  getSummary(email) {
+    const jobs = this.getJobs(email);
+    if (jobs.length === 0) {
+      return null;
+    }
+
+    const active = jobs.filter(job => job.status !== 'completed');
+    const fetched = jobs.reduce((sum, job) => sum + job.fetched, 0);
+    const total = jobs.reduce((sum, job) => sum + (job.total || 0), 0);
+    const etas = active.map(job => job.eta).filter(Boolean);
+
+    return {
+      status: active.some(job => job.status === 'running') ? 'running' :
+        active.length === 0 ? 'completed' :
+          active.every(job => job.status === 'paused') ? 'paused' : active[0].status,
+      fetched: fetched,
+      total: total,
+      percent: total > 0 ? Math.round((fetched / total) * 100) : (active.length === 0 ? 100 : 0),
+      eta: etas.length > 0 ? new Date(Math.max(...etas.map(eta => eta.getTime()))) : null
+    };
+  }
+
+  toPublic(job) {
+    return {
+      email: job.email,
+      mailbox: job.mailbox,
+      folder: job.folder,
+      since: job.since,
+      status: job.status,
+      fetched: job.fetched,
+      total: job.total,
+      percent: job.total ? Math.round((job.fetched / job.total) * 100) : (job.status === 'completed' ? 100 : 0),
+      eta: job.eta,
+      error: job.error,
+      startedAt: job.startedAt,
+      updatedAt: job.updatedAt
+    };
+  }
+
+  emitProgress(job) {
+    this.imapSyncService.io.to('email-updates').emit('backfill-progress', this.toPublic(job));
+  }
+}
+
+module.exports = BackfillService;
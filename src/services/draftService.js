@@ -0,0 +1,141 @@
+const { v4: uuidv4 } = require('uuid');
+const winston = require('winston');
+
+// Reply drafts, kept in Elasticsearch so AI suggestions and edits outlive the browser session.
+// A draft can also be saved to the account's Drafts folder; each edit replaces that copy there,
+// but edits made in a mail client are not read back.
+class DraftService {
+  constructor(elasticsearchService, sendService, smtpService, imapSyncService) {
+    this.elasticsearchService = elasticsearchService;
+    this.sendService = sendService;
+    this.smtpService = smtpService;
+    this.imapSyncService = imapSyncService;
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/drafts.log' }),
+        new winston.transports.Console()
+      ]
+    });
+  }
+
+  async get(id) {
+    return this.elasticsearchService.getDraft(id);
+  }
+
+  async list(filters) {
+    return this.elasticsearchService.searchDrafts(filters);
+  }
+
+  // A reply draft to `emailDoc`; `source` is "ai" for suggestions, with the training data they used.
+  // Resolves to { draft, imapError }.
+  async create(emailDoc, { text = '', html = null, replyAll = false, cc = [], bcc = [], quote = true, saveToImap = false,
+    source = 'user', trainingData = null, trainingSnippets = [] }) {
+    const now = new Date();
+    const draft = {
+      id: uuidv4(),
+      emailId: emailDoc.id,
+      account: emailDoc.email,
+      source: source,
+      text: text,
+      html: html,
+      replyAll: replyAll,
+      cc: cc,
+      bcc: bcc,
+      quote: quote,
+      trainingData: trainingData,
+      trainingSnippets: trainingSnippets,
+      saveToImap: saveToImap,
+      imap: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const result = await this.save(emailDoc, draft);
+    this.logger.info(`Created ${source} draft ${draft.id} for ${emailDoc.id}`);
+    return result;
+  }
+
+  async update(draft, emailDoc, changes) {
+    const result = await this.save(emailDoc, { ...draft, ...changes, updatedAt: new Date() });
+    this.logger.info(`Updated draft ${draft.id}`);
+    return result;
+  }
+
+  // Indexes the draft after bringing the Drafts folder in line with it. An IMAP failure is
+  // reported as `imapError` but never loses the edit; the folder keeps its previous copy.
+  async save(emailDoc, draft) {
+    const previous = draft.imap;
+    let imapError = null;
+
+    try {
+      if (draft.saveToImap) {
+        draft.imap = await this.saveToImap(emailDoc, draft);
+      } else {
+        draft.imap = null;
+      }
+    } catch (error) {
+      imapError = error.message;
+      this.logger.error(`Could not save draft ${draft.id} to the Drafts folder of ${draft.account}:`, error);
+    }
+
+    if (previous && draft.imap !== previous) {
+      await this.deleteFromImap(draft, previous);
+    }
+
+    await this.elasticsearchService.saveDraft(draft);
+    return { draft: draft, imapError: imapError };
+  }
+
+  async saveToImap(emailDoc, draft) {
+    const account = this.sendService.getAccount(emailDoc.email);
+    const mail = this.sendService.buildReply(emailDoc, account, { ...draft, html: draft.html || undefined });
+    const { raw, messageId } = await this.smtpService.compile(mail);
+    return this.imapSyncService.saveDraftMessage(account.email, raw, messageId);
+  }
+
+  // Resolves to { imapError }
+  async delete(draft) {
+    const imapError = draft.imap ? await this.deleteFromImap(draft, draft.imap) : null;
+    await this.elasticsearchService.deleteDraft(draft.id);
+    this.logger.info(`Deleted draft ${draft.id}`);
+    return { imapError: imapError };
+  }
+
+  // A stale copy left in the Drafts folder is only logged; it does not fail the request
+  async deleteFromImap(draft, copy) {
+    try {
+      await this.imapSyncService.deleteDraftMessage(draft.account, copy);
+      return null;
+    } catch (error) {
+      this.logger.warn(`Could not remove draft ${copy.messageId} from ${draft.account}/${copy.mailbox}: ${error.message}`);
+      return error.message;
+    }
+  }
+
+  // Sends the draft as a reply to `emailDoc`, then discards it
+  async send(draft, emailDoc) {
+    const result = await this.sendService.reply(emailDoc, {
+      text: draft.text,
+      html: draft.html || undefined,
+      replyAll: draft.replyAll,
+      cc: draft.cc,
+      bcc: draft.bcc,
+      quote: draft.quote
+    });
+
+    // The reply is out; a draft left behind must not turn that into an error
+    try {
+      await this.delete(draft);
+    } catch (error) {
+      this.logger.error(`Sent draft ${draft.id} but could not delete it:`, error);
+    }
+    return result;
+  }
+}
+
+module.exports = DraftService;
@@ -1,12 +1,19 @@
 const { Client } = require('@elastic/elasticsearch');
 const winston = require('winston');
 
+// Per-copy fields returned in an email's `locations`
+const LOCATION_FIELDS = ['id', 'email', 'folder', 'mailbox', 'flags'];
+
 class ElasticsearchService {
   constructor() {
     this.client = new Client({
       node: process.env.ELASTICSEARCH_URL || 'http://localhost:9200'
     });
     this.indexName = process.env.ELASTICSEARCH_INDEX || 'emails';
+    this.syncStateIndexName = `${this.indexName}-sync-state`;
+    this.outboxIndexName = `${this.indexName}-outbox`;
+    this.draftsIndexName = `${this.indexName}-drafts`;
+    this.sequencesIndexName = `${this.indexName}-sequences`;
     this.logger = winston.createLogger({
       level: 'info',
       format: winston.format.combine(
@@ -18,7 +25,7 @@ class ElasticsearchService {
         new winston.transports.Console()
       ]
     });
-    this.isConnected = false;
+    this.connected = false;
   }
 
   async initialize() {
@@ -26,13 +33,26 @@ class ElasticsearchService {
       // Test connection
       await this.client.ping();
       this.logger.info('Connected to Elasticsearch');
-      this.isConnected = true;
+      this.connected = true;
 
       // Create index if it doesn't exist
       await this.createIndex();
       
       // Setup mappings
       await this.setupMappings();
+      await this.assignCanonicalIds();
+
+      // Per-mailbox IMAP sync checkpoints
+      await this.createSyncStateIndex();
+
+      // Scheduled outgoing mail
+      await this.createOutboxIndex();
+
+      // Reply drafts, including AI suggestions
+      await this.createDraftsIndex();
+
+      // Follow-up sequences on sent emails
+      await this.createSequencesIndex();
 
     } catch (error) {
       this.logger.error('Failed to initialize Elasticsearch:', error);
@@ -98,6 +118,14 @@ class ElasticsearchService {
                 keyword: { type: 'keyword' }
               }
             },
+            cc: {
+              type: 'text',
+              analyzer: 'email_analyzer',
+              fields: {
+                keyword: { type: 'keyword' }
+              }
+            },
+            replyTo: { type: 'keyword' },
             subject: { 
               type: 'text',
               analyzer: 'email_analyzer',
@@ -110,20 +138,62 @@ class ElasticsearchService {
               analyzer: 'email_analyzer'
             },
             html: { type: 'text' },
+            // `text` split into the sender's new content, the quoted history and the signature
+            reply: {
+              type: 'text',
+              analyzer: 'email_analyzer'
+            },
+            quoted: {
+              type: 'text',
+              analyzer: 'email_analyzer'
+            },
+            signature: {
+              type: 'text',
+              analyzer: 'email_analyzer'
+            },
             date: { type: 'date' },
             folder: { type: 'keyword' },
+            mailbox: { type: 'keyword' },
             category: { type: 'keyword' },
             flags: { type: 'keyword' },
             size: { type: 'long' },
             messageId: { type: 'keyword' },
+            // Copies of one message (same Message-ID in several accounts or folders) share the id of the first
+            canonicalId: { type: 'keyword' },
             inReplyTo: { type: 'keyword' },
             references: { type: 'keyword' },
+            // Set on out-of-office replies and bounces, which are categorized from their headers
+            autoResponse: {
+              properties: {
+                type: { type: 'keyword' },
+                reason: { type: 'keyword' }
+              }
+            },
+            bounce: {
+              properties: {
+                type: { type: 'keyword' },
+                reportingMta: { type: 'keyword' },
+                recipients: {
+                  properties: {
+                    recipient: { type: 'keyword' },
+                    action: { type: 'keyword' },
+                    status: { type: 'keyword' },
+                    diagnosticCode: { type: 'text' }
+                  }
+                }
+              }
+            },
             attachments: {
               type: 'nested',
               properties: {
                 filename: { type: 'keyword' },
                 contentType: { type: 'keyword' },
-                size: { type: 'long' }
+                size: { type: 'long' },
+                hash: { type: 'keyword' },
+                text: {
+                  type: 'text',
+                  analyzer: 'email_analyzer'
+                }
               }
             },
             createdAt: { type: 'date' },
@@ -138,267 +208,1424 @@ class ElasticsearchService {
     }
   }
 
-  async indexEmail(emailData) {
+  // Emails indexed before deduplication each become their own canonical document
+  async assignCanonicalIds() {
     try {
-      const response = await this.client.index({
+      const response = await this.client.updateByQuery({
         index: this.indexName,
-        id: emailData.id,
-        body: emailData
+        body: {
+          query: {
+            bool: {
+              must_not: { exists: { field: 'canonicalId' } }
+            }
+          },
+          script: {
+            source: 'ctx._source.canonicalId = ctx._id',
+            lang: 'painless'
+          }
+        },
+        conflicts: 'proceed',
+        refresh: true
       });
-      
-      this.logger.debug(`Indexed email: ${emailData.id}`);
-      return response;
+
+      if (response.updated > 0) {
+        this.logger.info(`Assigned canonical ids to ${response.updated} emails`);
+      }
     } catch (error) {
-      this.logger.error('Error indexing email:', error);
+      this.logger.error('Error assigning canonical ids:', error);
       throw error;
     }
   }
 
-  async updateEmailCategory(emailId, category) {
+  async createSyncStateIndex() {
     try {
-      await this.client.update({
-        index: this.indexName,
-        id: emailId,
-        body: {
-          doc: {
-            category: category,
-            updatedAt: new Date()
+      const exists = await this.client.indices.exists({
+        index: this.syncStateIndexName
+      });
+
+      if (!exists) {
+        await this.client.indices.create({
+          index: this.syncStateIndexName,
+          body: {
+            settings: {
+              number_of_shards: 1,
+              number_of_replicas: 0
+            },
+            mappings: {
+              properties: {
+                email: { type: 'keyword' },
+                mailbox: { type: 'keyword' },
+                uidValidity: { type: 'long' },
+                lastUid: { type: 'long' },
+                highestModseq: { type: 'keyword' },
+                backfill: { type: 'object', enabled: false },
+                updatedAt: { type: 'date' }
+              }
+            }
           }
+        });
+        this.logger.info(`Created Elasticsearch index: ${this.syncStateIndexName}`);
+      }
+    } catch (error) {
+      this.logger.error('Error creating sync state index:', error);
+      throw error;
+    }
+  }
+
+  async getSyncState(email, mailbox) {
+    try {
+      const response = await this.client.get({
+        index: this.syncStateIndexName,
+        id: `${email}_${mailbox}`
+      });
+
+      return response._source;
+    } catch (error) {
+      if (error.meta?.statusCode === 404) {
+        return null;
+      }
+      this.logger.error('Error getting sync state:', error);
+      throw error;
+    }
+  }
+
+  async saveSyncState(state) {
+    try {
+      await this.client.index({
+        index: this.syncStateIndexName,
+        id: `${state.email}_${state.mailbox}`,
+        body: {
+          ...state,
+          updatedAt: new Date()
         }
       });
-      
-      this.logger.debug(`Updated email category: ${emailId} -> ${category}`);
+
+      this.logger.debug(`Saved sync state: ${state.email}/${state.mailbox} -> UID ${state.lastUid}`);
     } catch (error) {
-      this.logger.error('Error updating email category:', error);
+      this.logger.error('Error saving sync state:', error);
       throw error;
     }
   }
 
-  async searchEmails(query, filters = {}) {
+  async createOutboxIndex() {
     try {
-      const searchBody = {
-        query: {
-          bool: {
-            must: []
-          }
-        },
-        sort: [
-          { date: { order: 'desc' } }
-        ],
-        size: filters.size || 50,
-        from: filters.from || 0
+      const properties = {
+        id: { type: 'keyword' },
+        type: { type: 'keyword' },
+        status: { type: 'keyword' },
+        account: { type: 'keyword' },
+        emailId: { type: 'keyword' },
+        sendAt: { type: 'date' },
+        timeZone: { type: 'keyword' },
+        nextAttemptAt: { type: 'date' },
+        attempts: { type: 'integer' },
+        lastError: { type: 'text' },
+        message: { type: 'object', enabled: false },
+        attachments: { type: 'object', enabled: false },
+        result: { type: 'object', enabled: false },
+        // Set on follow-ups scheduled by a sequence
+        sequenceId: { type: 'keyword' },
+        step: { type: 'integer' },
+        createdAt: { type: 'date' },
+        updatedAt: { type: 'date' },
+        sentAt: { type: 'date' }
       };
 
-      // Add text search
-      if (query) {
-        searchBody.query.bool.must.push({
-          multi_match: {
-            query: query,
-            fields: ['subject^3', 'from^2', 'to^2', 'text'],
-            type: 'best_fields',
-            fuzziness: 'AUTO'
+      const exists = await this.client.indices.exists({
+        index: this.outboxIndexName
+      });
+
+      if (!exists) {
+        await this.client.indices.create({
+          index: this.outboxIndexName,
+          body: {
+            settings: {
+              number_of_shards: 1,
+              number_of_replicas: 0
+            },
+            mappings: {
+              properties: properties
+            }
           }
         });
+        this.logger.info(`Created Elasticsearch index: ${this.outboxIndexName}`);
       } else {
-        searchBody.query.bool.must.push({ match_all: {} });
-      }
-
-      // Add filters
-      if (filters.email) {
-        searchBody.query.bool.filter = searchBody.query.bool.filter || [];
-        searchBody.query.bool.filter.push({
-          term: { email: filters.email }
-        });
-      }
-
-      if (filters.folder) {
-        searchBody.query.bool.filter = searchBody.query.bool.filter || [];
-        searchBody.query.bool.filter.push({
-          term: { folder: filters.folder }
-        });
-      }
-
-      if (filters.category) {
-        searchBody.query.bool.filter = searchBody.query.bool.filter || [];
-        searchBody.query.bool.filter.push({
-          term: { category: filters.category }
-        });
-      }
-
-      if (filters.dateFrom || filters.dateTo) {
-        searchBody.query.bool.filter = searchBody.query.bool.filter || [];
-        const dateRange = {};
-        if (filters.dateFrom) dateRange.gte = filters.dateFrom;
-        if (filters.dateTo) dateRange.lte = filters.dateTo;
-        searchBody.query.bool.filter.push({
-          range: { date: dateRange }
+        // Outboxes created before sequences existed need the new fields
+        await this.client.indices.putMapping({
+          index: this.outboxIndexName,
+          body: {
+            properties: properties
+          }
         });
       }
+    } catch (error) {
+      this.logger.error('Error creating outbox index:', error);
+      throw error;
+    }
+  }
 
-      const response = await this.client.search({
-        index: this.indexName,
-        body: searchBody
+  async saveOutboxItem(item) {
+    try {
+      await this.client.index({
+        index: this.outboxIndexName,
+        id: item.id,
+        body: {
+          ...item,
+          updatedAt: new Date()
+        },
+        refresh: true
       });
 
-      return {
-        hits: response.body.hits.hits.map(hit => ({
-          ...hit._source,
-          _score: hit._score
-        })),
-        total: response.body.hits.total.value,
-        took: response.body.took
-      };
-
+      this.logger.debug(`Saved outbox item: ${item.id}`);
     } catch (error) {
-      this.logger.error('Error searching emails:', error);
+      this.logger.error('Error saving outbox item:', error);
       throw error;
     }
   }
 
-  async getEmailById(emailId) {
+  async getOutboxItem(id) {
     try {
       const response = await this.client.get({
-        index: this.indexName,
-        id: emailId
+        index: this.outboxIndexName,
+        id: id
       });
 
-      return response.body._source;
+      return response._source;
     } catch (error) {
       if (error.meta?.statusCode === 404) {
         return null;
       }
-      this.logger.error('Error getting email by ID:', error);
+      this.logger.error('Error getting outbox item:', error);
       throw error;
     }
   }
 
-  async getEmailsByAccount(email) {
+  // Applies `changes` only while the item is in one of `fromStatuses`, so the worker and a
+  // cancel request can never both act on the same item. Resolves to whether it was applied.
+  async transitionOutboxItem(id, fromStatuses, changes) {
     try {
-      const response = await this.client.search({
-        index: this.indexName,
+      return await this.transitionDocument(this.outboxIndexName, id, fromStatuses, changes);
+    } catch (error) {
+      this.logger.error('Error updating outbox item:', error);
+      throw error;
+    }
+  }
+
+  async transitionDocument(index, id, fromStatuses, changes) {
+    try {
+      const response = await this.client.update({
+        index: index,
+        id: id,
+        retry_on_conflict: 3,
+        refresh: true,
         body: {
-          query: {
-            term: { email: email }
-          },
-          sort: [{ date: { order: 'desc' } }],
-          size: 1000
+          script: {
+            source: `
+              if (!params.from.contains(ctx._source.status)) {
+                ctx.op = 'noop';
+              } else {
+                ctx._source.putAll(params.changes);
+              }
+            `,
+            params: {
+              from: fromStatuses,
+              changes: JSON.parse(JSON.stringify({ ...changes, updatedAt: new Date() }))
+            }
+          }
         }
       });
 
-      return response.body.hits.hits.map(hit => hit._source);
+      return response.result === 'updated';
     } catch (error) {
-      this.logger.error('Error getting emails by account:', error);
+      if (error.meta?.statusCode === 404) {
+        return false;
+      }
       throw error;
     }
   }
 
-  async getCategories() {
+  async searchOutboxItems(filters = {}) {
     try {
+      const must = [];
+      if (filters.status) {
+        must.push({ term: { status: filters.status } });
+      }
+      if (filters.account) {
+        must.push({ term: { account: filters.account } });
+      }
+      if (filters.emailId) {
+        must.push({ term: { emailId: filters.emailId } });
+      }
+      if (filters.sequenceId) {
+        must.push({ term: { sequenceId: filters.sequenceId } });
+      }
+
       const response = await this.client.search({
-        index: this.indexName,
+        index: this.outboxIndexName,
         body: {
-          aggs: {
-            categories: {
-              terms: {
-                field: 'category',
-                size: 10
-              }
-            }
-          },
-          size: 0
+          query: must.length > 0 ? { bool: { must: must } } : { match_all: {} },
+          sort: [{ sendAt: { order: 'asc' } }],
+          from: filters.from || 0,
+          size: filters.size || 20
         }
       });
 
-      return response.body.aggregations.categories.buckets.map(bucket => ({
-        category: bucket.key,
-        count: bucket.doc_count
-      }));
+      return {
+        hits: response.hits.hits.map(hit => hit._source),
+        total: response.hits.total.value
+      };
     } catch (error) {
-      this.logger.error('Error getting categories:', error);
+      this.logger.error('Error searching outbox:', error);
       throw error;
     }
   }
 
-  async getFolders() {
+  // Scheduled items whose next attempt is due, oldest first
+  async getDueOutboxItems(now, size) {
     try {
       const response = await this.client.search({
-        index: this.indexName,
+        index: this.outboxIndexName,
         body: {
-          aggs: {
-            folders: {
-              terms: {
-                field: 'folder',
-                size: 20
-              }
+          query: {
+            bool: {
+              filter: [
+                { term: { status: 'scheduled' } },
+                { range: { nextAttemptAt: { lte: now } } }
+              ]
             }
           },
-          size: 0
+          sort: [{ nextAttemptAt: { order: 'asc' } }],
+          size: size
         }
       });
 
-      return response.body.aggregations.folders.buckets.map(bucket => ({
-        folder: bucket.key,
-        count: bucket.doc_count
-      }));
+      return response.hits.hits.map(hit => hit._source);
     } catch (error) {
-      this.logger.error('Error getting folders:', error);
+      this.logger.error('Error getting due outbox items:', error);
       throw error;
     }
   }
 
-  async deleteEmail(emailId) {
+  // Every follow-up scheduled by the given sequences
+  async getOutboxItemsBySequence(sequenceIds) {
     try {
-      await this.client.delete({
-        index: this.indexName,
-        id: emailId
+      const response = await this.client.search({
+        index: this.outboxIndexName,
+        body: {
+          query: { terms: { sequenceId: sequenceIds } },
+          sort: [{ step: { order: 'asc' } }],
+          size: 1000
+        }
       });
-      
-      this.logger.info(`Deleted email: ${emailId}`);
+
+      return response.hits.hits.map(hit => hit._source);
     } catch (error) {
-      this.logger.error('Error deleting email:', error);
+      this.logger.error('Error getting sequence outbox items:', error);
       throw error;
     }
   }
 
-  async getStats() {
+  // Sequences with a follow-up still scheduled or being sent
+  async getPendingSequenceIds() {
     try {
       const response = await this.client.search({
-        index: this.indexName,
+        index: this.outboxIndexName,
         body: {
+          query: {
+            bool: {
+              filter: [
+                { exists: { field: 'sequenceId' } },
+                { terms: { status: ['scheduled', 'sending'] } }
+              ]
+            }
+          },
           aggs: {
-            total_emails: {
-              value_count: {
-                field: 'id'
-              }
-            },
-            by_account: {
-              terms: {
-                field: 'email',
-                size: 10
-              }
-            },
-            by_category: {
-              terms: {
-                field: 'category',
-                size: 10
-              }
-            },
-            by_folder: {
-              terms: {
-                field: 'folder',
-                size: 10
-              }
+            sequences: {
+              terms: { field: 'sequenceId', size: 10000 }
             }
           },
           size: 0
         }
       });
 
-      return {
-        totalEmails: response.body.aggregations.total_emails.value,
-        byAccount: response.body.aggregations.by_account.buckets,
-        byCategory: response.body.aggregations.by_category.buckets,
-        byFolder: response.body.aggregations.by_folder.buckets
+      return response.aggregations.sequences.buckets.map(bucket => bucket.key);
+    } catch (error) {
+      this.logger.error('Error getting pending sequences:', error);
+      throw error;
+    }
+  }
+
+  // Items left mid-send by a crash or restart
+  async getOutboxItemsByStatus(status) {
+    try {
+      const response = await this.client.search({
+        index: this.outboxIndexName,
+        body: {
+          query: { term: { status: status } },
+          size: 1000
+        }
+      });
+
+      return response.hits.hits.map(hit => hit._source);
+    } catch (error) {
+      this.logger.error('Error getting outbox items:', error);
+      throw error;
+    }
+  }
+
+  async createDraftsIndex() {
+    try {
+      const exists = await this.client.indices.exists({
+        index: this.draftsIndexName
+      });
+
+      if (!exists) {
+        await this.client.indices.create({
+          index: this.draftsIndexName,
+          body: {
+            settings: {
+              number_of_shards: 1,
+              number_of_replicas: 0
+            },
+            mappings: {
+              properties: {
+                id: { type: 'keyword' },
+                emailId: { type: 'keyword' },
+                account: { type: 'keyword' },
+                source: { type: 'keyword' },
+                text: { type: 'text' },
+                html: { type: 'object', enabled: false },
+                replyAll: { type: 'boolean' },
+                cc: { type: 'keyword' },
+                bcc: { type: 'keyword' },
+                quote: { type: 'boolean' },
+                trainingData: { type: 'text' },
+                trainingSnippets: { type: 'object', enabled: false },
+                saveToImap: { type: 'boolean' },
+                imap: { type: 'object', enabled: false },
+                createdAt: { type: 'date' },
+                updatedAt: { type: 'date' }
+              }
+            }
+          }
+        });
+        this.logger.info(`Created Elasticsearch index: ${this.draftsIndexName}`);
+      }
+    } catch (error) {
+      this.logger.error('Error creating drafts index:', error);
+      throw error;
+    }
+  }
+
+  async saveDraft(draft) {
+    try {
+      await this.client.index({
+        index: this.draftsIndexName,
+        id: draft.id,
+        body: draft,
+        refresh: true
+      });
+
+      this.logger.debug(`Saved draft: ${draft.id}`);
+    } catch (error) {
+      this.logger.error('Error saving draft:', error);
+      throw error;
+    }
+  }
+
+  async getDraft(id) {
+    try {
+      const response = await this.client.get({
+        index: this.draftsIndexName,
+        id: id
+      });
+
+      return response._source;
+    } catch (error) {
+      if (error.meta?.statusCode === 404) {
+        return null;
+      }
+      this.logger.error('Error getting draft:', error);
+      throw error;
+    }
+  }
+
+  // Most recently edited first
+  async searchDrafts(filters = {}) {
+    try {
+      const must = [];
+      if (filters.emailId) {
+        must.push({ term: { emailId: filters.emailId } });
+      }
+      if (filters.account) {
+        must.push({ term: { account: filters.account } });
+      }
+      if (filters.source) {
+        must.push({ term: { source: filters.source } });
+      }
+
+      const response = await this.client.search({
+        index: this.draftsIndexName,
+        body: {
+          query: must.length > 0 ? { bool: { must: must } } : { match_all: {} },
+          sort: [{ updatedAt: { order: 'desc' } }],
+          from: filters.from || 0,
+          size: filters.size || 20
+        }
+      });
+
+      return {
+        hits: response.hits.hits.map(hit => hit._source),
+        total: response.hits.total.value
+      };
+    } catch (error) {
+      this.logger.error('Error searching drafts:', error);
+      throw error;
+    }
+  }
+
+  async deleteDraft(id) {
+    try {
+      await this.client.delete({
+        index: this.draftsIndexName,
+        id: id,
+        refresh: true
+      });
+
+      this.logger.debug(`Deleted draft: ${id}`);
+      return true;
+    } catch (error) {
+      if (error.meta?.statusCode === 404) {
+        return false;
+      }
+      this.logger.error('Error deleting draft:', error);
+      throw error;
+    }
+  }
+
+  async createSequencesIndex() {
+    try {
+      const exists = await this.client.indices.exists({
+        index: this.sequencesIndexName
+      });
+
+      if (!exists) {
+        await this.client.indices.create({
+          index: this.sequencesIndexName,
+          body: {
+            settings: {
+              number_of_shards: 1,
+              number_of_replicas: 0
+            },
+            mappings: {
+              properties: {
+                id: { type: 'keyword' },
+                emailId: { type: 'keyword' },
+                account: { type: 'keyword' },
+                status: { type: 'keyword' },
+                recipient: { type: 'keyword' },
+                subject: { type: 'text' },
+                // The sent email's Message-ID and those the follow-ups will go out with
+                threadMessageIds: { type: 'keyword' },
+                sendTime: { type: 'keyword' },
+                timeZone: { type: 'keyword' },
+                steps: { type: 'object', enabled: false },
+                stopReason: { type: 'keyword' },
+                stoppedBy: { type: 'object', enabled: false },
+                stoppedAt: { type: 'date' },
+                createdAt: { type: 'date' },
+                updatedAt: { type: 'date' }
+              }
+            }
+          }
+        });
+        this.logger.info(`Created Elasticsearch index: ${this.sequencesIndexName}`);
+      }
+    } catch (error) {
+      this.logger.error('Error creating sequences index:', error);
+      throw error;
+    }
+  }
+
+  async saveSequence(sequence) {
+    try {
+      await this.client.index({
+        index: this.sequencesIndexName,
+        id: sequence.id,
+        body: {
+          ...sequence,
+          updatedAt: new Date()
+        },
+        refresh: true
+      });
+
+      this.logger.debug(`Saved sequence: ${sequence.id}`);
+    } catch (error) {
+      this.logger.error('Error saving sequence:', error);
+      throw error;
+    }
+  }
+
+  async getSequence(id) {
+    try {
+      const response = await this.client.get({
+        index: this.sequencesIndexName,
+        id: id
+      });
+
+      return response._source;
+    } catch (error) {
+      if (error.meta?.statusCode === 404) {
+        return null;
+      }
+      this.logger.error('Error getting sequence:', error);
+      throw error;
+    }
+  }
+
+  // Same guarantee as transitionOutboxItem: a sequence is stopped or cancelled only once
+  async transitionSequence(id, fromStatuses, changes) {
+    try {
+      return await this.transitionDocument(this.sequencesIndexName, id, fromStatuses, changes);
+    } catch (error) {
+      this.logger.error('Error updating sequence:', error);
+      throw error;
+    }
+  }
+
+  // Newest first
+  async searchSequences(filters = {}) {
+    try {
+      const must = [];
+      if (filters.status) {
+        must.push({ term: { status: filters.status } });
+      }
+      if (filters.account) {
+        must.push({ term: { account: filters.account } });
+      }
+      if (filters.emailId) {
+        must.push({ term: { emailId: filters.emailId } });
+      }
+      if (filters.ids) {
+        must.push({ ids: { values: filters.ids } });
+      }
+      const mustNot = filters.excludeIds ? [{ ids: { values: filters.excludeIds } }] : [];
+
+      const response = await this.client.search({
+        index: this.sequencesIndexName,
+        body: {
+          query: must.length + mustNot.length > 0 ? { bool: { must: must, must_not: mustNot } } : { match_all: {} },
+          sort: [{ createdAt: { order: 'desc' } }],
+          from: filters.from || 0,
+          size: filters.size || 20
+        }
+      });
+
+      return {
+        hits: response.hits.hits.map(hit => hit._source),
+        total: response.hits.total.value
+      };
+    } catch (error) {
+      this.logger.error('Error searching sequences:', error);
+      throw error;
+    }
+  }
+
+  // Active sequences whose thread contains any of the given Message-IDs
+  async findActiveSequences(messageIds) {
+    try {
+      const response = await this.client.search({
+        index: this.sequencesIndexName,
+        body: {
+          query: {
+            bool: {
+              filter: [
+                { term: { status: 'active' } },
+                { terms: { threadMessageIds: messageIds } }
+              ]
+            }
+          },
+          size: 100
+        }
+      });
+
+      return response.hits.hits.map(hit => hit._source);
+    } catch (error) {
+      this.logger.error('Error finding sequences:', error);
+      throw error;
+    }
+  }
+
+  // Indexed emails that answer (or are further down the thread of) the given Message-ID
+  async findThreadReplies(messageId) {
+    try {
+      const response = await this.client.search({
+        index: this.indexName,
+        body: {
+          query: {
+            bool: {
+              should: [
+                { term: { inReplyTo: messageId } },
+                { term: { references: messageId } }
+              ],
+              minimum_should_match: 1
+            }
+          },
+          _source: { excludes: ['attachments.text', 'html'] },
+          sort: [{ date: { order: 'asc' } }],
+          size: 100
+        }
+      });
+
+      return response.hits.hits.map(hit => hit._source);
+    } catch (error) {
+      this.logger.error('Error finding thread replies:', error);
+      throw error;
+    }
+  }
+
+  async deleteEmailsByMailbox(email, mailbox) {
+    try {
+      const response = await this.client.deleteByQuery({
+        index: this.indexName,
+        body: {
+          query: {
+            bool: {
+              filter: [
+                { term: { email: email } },
+                { term: { mailbox: mailbox } }
+              ]
+            }
+          }
+        },
+        refresh: true
+      });
+
+      this.logger.info(`Deleted ${response.deleted} emails for ${email}/${mailbox}`);
+      return response.deleted;
+    } catch (error) {
+      this.logger.error('Error deleting emails by mailbox:', error);
+      throw error;
+    }
+  }
+
+  async deleteSyncStateByAccount(email) {
+    try {
+      const response = await this.client.deleteByQuery({
+        index: this.syncStateIndexName,
+        body: {
+          query: {
+            term: { email: email }
+          }
+        },
+        refresh: true
+      });
+
+      this.logger.info(`Deleted ${response.deleted} sync checkpoints for ${email}`);
+      return response.deleted;
+    } catch (error) {
+      this.logger.error('Error deleting sync state:', error);
+      throw error;
+    }
+  }
+
+  async deleteEmailsByAccount(email) {
+    try {
+      const response = await this.client.deleteByQuery({
+        index: this.indexName,
+        body: {
+          query: {
+            term: { email: email }
+          }
+        },
+        refresh: true
+      });
+
+      this.logger.info(`Deleted ${response.deleted} emails for ${email}`);
+      return response.deleted;
+    } catch (error) {
+      this.logger.error('Error deleting emails by account:', error);
+      throw error;
+    }
+  }
+
+  async indexEmail(emailData) {
+    try {
+      const response = await this.client.index({
+        index: this.indexName,
+        id: emailData.id,
+        body: emailData
+      });
+      
+      this.logger.debug(`Indexed email: ${emailData.id}`);
+      return response;
+    } catch (error) {
+      this.logger.error('Error indexing email:', error);
+      throw error;
+    }
+  }
+
+  // Indexes many emails in one request and returns an error (or null) per email, in order
+  async bulkIndexEmails(emails) {
+    try {
+      const response = await this.client.bulk({
+        // Searchable on return, so copies arriving next (and reconciles) find these documents
+        refresh: 'wait_for',
+        body: emails.flatMap(emailData => [
+          { index: { _index: this.indexName, _id: emailData.id } },
+          emailData
+        ])
+      });
+
+      const errors = response.items.map(item => {
+        const result = item.index;
+        if (!result.error) {
+          return null;
+        }
+        const error = new Error(`${result.error.type}: ${result.error.reason}`);
+        error.statusCode = result.status;
+        return error;
+      });
+
+      this.logger.debug(`Bulk indexed ${emails.length} emails (${errors.filter(Boolean).length} failed)`);
+      return errors;
+    } catch (error) {
+      this.logger.error('Error bulk indexing emails:', error);
+      throw error;
+    }
+  }
+
+  async updateEmailCategory(emailId, category) {
+    try {
+      await this.client.update({
+        index: this.indexName,
+        id: emailId,
+        body: {
+          doc: {
+            category: category,
+            updatedAt: new Date()
+          }
+        }
+      });
+      
+      this.logger.debug(`Updated email category: ${emailId} -> ${category}`);
+    } catch (error) {
+      this.logger.error('Error updating email category:', error);
+      throw error;
+    }
+  }
+
+  async updateEmailFlags(emailId, flags) {
+    try {
+      await this.client.update({
+        index: this.indexName,
+        id: emailId,
+        body: {
+          doc: {
+            flags: flags,
+            updatedAt: new Date()
+          }
+        }
+      });
+
+      this.logger.debug(`Updated email flags: ${emailId} -> ${flags.join(' ')}`);
+      return true;
+    } catch (error) {
+      if (error.meta?.statusCode === 404) {
+        return false;
+      }
+      this.logger.error('Error updating email flags:', error);
+      throw error;
+    }
+  }
+
+  async getMailboxMessages(email, mailbox) {
+    try {
+      const messages = [];
+      const documents = this.client.helpers.scrollDocuments({
+        index: this.indexName,
+        _source: ['id', 'uid', 'messageId', 'canonicalId', 'flags'],
+        size: 1000,
+        query: {
+          bool: {
+            filter: [
+              { term: { email: email } },
+              { term: { mailbox: mailbox } }
+            ]
+          }
+        }
+      });
+
+      for await (const document of documents) {
+        messages.push(document);
+      }
+
+      return messages;
+    } catch (error) {
+      this.logger.error('Error getting mailbox messages:', error);
+      throw error;
+    }
+  }
+
+  // Every email matching a query, read a page at a time so a large result set is never held in
+  // memory. Copies of the same message are returned once, as in search results.
+  async *scrollEmails(query, sort = [{ date: { order: 'desc' } }]) {
+    const seen = new Set();
+    try {
+      const documents = this.client.helpers.scrollDocuments({
+        index: this.indexName,
+        query: query,
+        sort: sort,
+        size: 500,
+        _source_excludes: ['attachments.text']
+      });
+
+      for await (const email of documents) {
+        const key = email.canonicalId || email.id;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        yield email;
+      }
+    } catch (error) {
+      this.logger.error('Error scrolling emails:', error);
+      throw error;
+    }
+  }
+
+  async refreshIndex() {
+    try {
+      await this.client.indices.refresh({ index: this.indexName });
+    } catch (error) {
+      this.logger.error('Error refreshing index:', error);
+      throw error;
+    }
+  }
+
+  // The oldest indexed copy of a message in any account; its canonicalId is the one to link to
+  async findCanonicalEmail(messageId, excludeIds) {
+    try {
+      const response = await this.client.search({
+        index: this.indexName,
+        body: {
+          query: {
+            bool: {
+              filter: [
+                { term: { messageId: messageId } }
+              ],
+              must_not: [
+                { ids: { values: excludeIds } }
+              ]
+            }
+          },
+          sort: [{ createdAt: { order: 'asc' } }],
+          _source: ['id', 'email', 'folder', 'canonicalId', 'category'],
+          size: 1
+        }
+      });
+
+      const hit = response.hits.hits[0];
+      return hit ? hit._source : null;
+    } catch (error) {
+      this.logger.error('Error finding canonical email:', error);
+      throw error;
+    }
+  }
+
+  // Another copy of the same message, optionally limited to an account or mailbox
+  async findEmailCopy(canonicalId, excludeIds, filters = {}) {
+    try {
+      const filter = [{ term: { canonicalId: canonicalId } }];
+      if (filters.email) filter.push({ term: { email: filters.email } });
+      if (filters.mailbox) filter.push({ term: { mailbox: filters.mailbox } });
+
+      const response = await this.client.search({
+        index: this.indexName,
+        body: {
+          query: {
+            bool: {
+              filter: filter,
+              must_not: [
+                { ids: { values: excludeIds } }
+              ]
+            }
+          },
+          _source: ['id', 'email', 'folder', 'mailbox', 'category'],
+          size: 1
+        }
+      });
+
+      const hit = response.hits.hits[0];
+      return hit ? hit._source : null;
+    } catch (error) {
+      this.logger.error('Error finding email copy:', error);
+      throw error;
+    }
+  }
+
+  // Every account and folder a message lives in, with that copy's own flags
+  async getEmailLocations(canonicalId) {
+    try {
+      const response = await this.client.search({
+        index: this.indexName,
+        body: {
+          query: {
+            term: { canonicalId: canonicalId }
+          },
+          sort: [{ createdAt: { order: 'asc' } }],
+          _source: LOCATION_FIELDS,
+          size: 100
+        }
+      });
+
+      return response.hits.hits.map(hit => hit._source);
+    } catch (error) {
+      this.logger.error('Error getting email locations:', error);
+      throw error;
+    }
+  }
+
+  // Sets the category on every copy of a message, so whichever copy is shown carries it.
+  // `refresh` makes the change visible to searches right away, as a user recategorizing expects.
+  async updateMessageCategory(canonicalId, category, { refresh = true } = {}) {
+    try {
+      await this.client.updateByQuery({
+        index: this.indexName,
+        body: {
+          query: {
+            term: { canonicalId: canonicalId }
+          },
+          script: {
+            source: 'ctx._source.category = params.category; ctx._source.updatedAt = params.updatedAt',
+            lang: 'painless',
+            params: {
+              category: category,
+              updatedAt: new Date().toISOString()
+            }
+          }
+        },
+        conflicts: 'proceed',
+        refresh: refresh
+      });
+
+      this.logger.debug(`Updated message category: ${canonicalId} -> ${category}`);
+    } catch (error) {
+      this.logger.error('Error updating message category:', error);
+      throw error;
+    }
+  }
+
+  async deleteEmails(emailIds) {
+    try {
+      const response = await this.client.deleteByQuery({
+        index: this.indexName,
+        body: {
+          query: {
+            ids: { values: emailIds }
+          }
+        },
+        refresh: true
+      });
+
+      this.logger.info(`Deleted ${response.deleted} emails`);
+      return response.deleted;
+    } catch (error) {
+      this.logger.error('Error deleting emails:', error);
+      throw error;
+    }
+  }
+
+  // Documents indexed before per-mailbox ids (`${email}_${uid}`) can never be matched to a server message again
+  async deleteLegacyEmails(email) {
+    try {
+      const response = await this.client.deleteByQuery({
+        index: this.indexName,
+        body: {
+          query: {
+            bool: {
+              filter: [
+                { term: { email: email } }
+              ],
+              must_not: [
+                { exists: { field: 'mailbox' } }
+              ]
+            }
+          }
+        },
+        refresh: true
+      });
+
+      if (response.deleted > 0) {
+        this.logger.info(`Deleted ${response.deleted} legacy emails for ${email}`);
+      }
+      return response.deleted;
+    } catch (error) {
+      this.logger.error('Error deleting legacy emails:', error);
+      throw error;
+    }
+  }
+
+  async searchEmails(query, filters = {}) {
+    try {
+      const searchBody = {
+        query: this.buildSearchQuery(query, filters),
+        sort: [
+          { date: { order: 'desc' } }
+        ],
+        size: filters.size || 50,
+        from: filters.from || 0
+      };
+
+      const response = await this.client.search({
+        index: this.indexName,
+        body: this.collapseCopies(searchBody),
+        _source_excludes: ['attachments.text']
+      });
+
+      return this.formatSearchResponse(response);
+
+    } catch (error) {
+      this.logger.error('Error searching emails:', error);
+      throw error;
+    }
+  }
+
+  // Query for the simple search / list filters (query, email, folder, category, date range)
+  buildSearchQuery(query, filters = {}) {
+    const searchQuery = {
+      bool: {
+        must: []
+      }
+    };
+
+    // Add text search
+    if (query) {
+      searchQuery.bool.must.push(this.buildTextQuery(query));
+    } else {
+      searchQuery.bool.must.push({ match_all: {} });
+    }
+
+    // Add filters
+    if (filters.email) {
+      searchQuery.bool.filter = searchQuery.bool.filter || [];
+      searchQuery.bool.filter.push({
+        term: { email: filters.email }
+      });
+    }
+
+    if (filters.folder) {
+      searchQuery.bool.filter = searchQuery.bool.filter || [];
+      searchQuery.bool.filter.push({
+        term: { folder: filters.folder }
+      });
+    }
+
+    if (filters.category) {
+      searchQuery.bool.filter = searchQuery.bool.filter || [];
+      searchQuery.bool.filter.push({
+        term: { category: filters.category }
+      });
+    }
+
+    if (filters.dateFrom || filters.dateTo) {
+      searchQuery.bool.filter = searchQuery.bool.filter || [];
+      const dateRange = {};
+      if (filters.dateFrom) dateRange.gte = filters.dateFrom;
+      if (filters.dateTo) dateRange.lte = filters.dateTo;
+      searchQuery.bool.filter.push({
+        range: { date: dateRange }
+      });
+    }
+
+    return searchQuery;
+  }
+
+  // Full-text query over the message fields and, through a nested query, the extracted attachment text.
+  // Quoted history is left out so a reply does not match on the message it answers.
+  buildTextQuery(query) {
+    return {
+      bool: {
+        should: [
+          {
+            multi_match: {
+              query: query,
+              fields: ['subject^3', 'from^2', 'to^2', 'reply', 'signature'],
+              type: 'best_fields',
+              fuzziness: 'AUTO'
+            }
+          },
+          // Emails indexed before replies were extracted, and bare forwards, only have the full text
+          {
+            bool: {
+              must: {
+                match: {
+                  text: {
+                    query: query,
+                    fuzziness: 'AUTO'
+                  }
+                }
+              },
+              must_not: {
+                exists: { field: 'reply' }
+              }
+            }
+          },
+          {
+            nested: {
+              path: 'attachments',
+              score_mode: 'max',
+              query: {
+                match: {
+                  'attachments.text': {
+                    query: query,
+                    fuzziness: 'AUTO'
+                  }
+                }
+              },
+              inner_hits: {
+                _source: ['attachments.filename', 'attachments.contentType'],
+                highlight: {
+                  fields: {
+                    'attachments.text': { fragment_size: 150, number_of_fragments: 1 }
+                  }
+                }
+              }
+            }
+          }
+        ],
+        minimum_should_match: 1
+      }
+    };
+  }
+
+  // One result per message: copies in other accounts or folders are listed under `locations`
+  collapseCopies(searchBody) {
+    return {
+      ...searchBody,
+      collapse: {
+        field: 'canonicalId',
+        inner_hits: {
+          name: 'locations',
+          size: 20,
+          _source: LOCATION_FIELDS,
+          sort: [{ createdAt: { order: 'asc' } }]
+        }
+      },
+      aggs: {
+        ...searchBody.aggs,
+        messages: { cardinality: { field: 'canonicalId', precision_threshold: 40000 } }
+      }
+    };
+  }
+
+  formatSearchResponse(response) {
+    return {
+      hits: response.hits.hits.map(hit => {
+        const attachmentHits = hit.inner_hits?.attachments?.hits.hits || [];
+        return {
+          ...hit._source,
+          _score: hit._score,
+          locations: hit.inner_hits?.locations?.hits.hits.map(inner => inner._source) || [],
+          // Which attachments matched the query, so results can point at the file
+          matchedAttachments: attachmentHits.map(inner => ({
+            index: inner._nested.offset,
+            filename: inner._source.filename,
+            contentType: inner._source.contentType,
+            highlight: inner.highlight?.['attachments.text']?.[0] || null
+          }))
+        };
+      }),
+      // hits.total counts every copy
+      total: response.aggregations?.messages?.value ?? response.hits.total.value,
+      took: response.took
+    };
+  }
+
+  async advancedSearch(searchBody) {
+    try {
+      const response = await this.client.search({
+        index: this.indexName,
+        body: this.collapseCopies(searchBody),
+        _source_excludes: ['attachments.text']
+      });
+
+      return this.formatSearchResponse(response);
+
+    } catch (error) {
+      this.logger.error('Error in advanced search:', error);
+      throw error;
+    }
+  }
+
+  async getEmailById(emailId) {
+    try {
+      const response = await this.client.get({
+        index: this.indexName,
+        id: emailId,
+        _source_excludes: ['attachments.text']
+      });
+
+      const email = response._source;
+      email.locations = await this.getEmailLocations(email.canonicalId || email.id);
+      return email;
+    } catch (error) {
+      if (error.meta?.statusCode === 404) {
+        return null;
+      }
+      this.logger.error('Error getting email by ID:', error);
+      throw error;
+    }
+  }
+
+  async emailExists(emailId) {
+    try {
+      return await this.client.exists({
+        index: this.indexName,
+        id: emailId
+      });
+    } catch (error) {
+      this.logger.error('Error checking email existence:', error);
+      throw error;
+    }
+  }
+
+  async getEmailsByAccount(email) {
+    try {
+      const response = await this.client.search({
+        index: this.indexName,
+        body: {
+          query: {
+            term: { email: email }
+          },
+          sort: [{ date: { order: 'desc' } }],
+          size: 1000
+        }
+      });
+
+      return response.hits.hits.map(hit => hit._source);
+    } catch (error) {
+      this.logger.error('Error getting emails by account:', error);
+      throw error;
+    }
+  }
+
+  async getCategories() {
+    try {
+      const response = await this.client.search({
+        index: this.indexName,
+        body: {
+          aggs: {
+            categories: {
+              terms: {
+                field: 'category',
+                size: 10
+              },
+              aggs: {
+                messages: { cardinality: { field: 'canonicalId', precision_threshold: 40000 } }
+              }
+            }
+          },
+          size: 0
+        }
+      });
+
+      // A message copied to several accounts counts once
+      return response.aggregations.categories.buckets.map(bucket => ({
+        category: bucket.key,
+        count: bucket.messages.value
+      }));
+    } catch (error) {
+      this.logger.error('Error getting categories:', error);
+      throw error;
+    }
+  }
+
+  async getFolders() {
+    try {
+      const response = await this.client.search({
+        index: this.indexName,
+        body: {
+          aggs: {
+            folders: {
+              terms: {
+                field: 'folder',
+                size: 20
+              }
+            }
+          },
+          size: 0
+        }
+      });
+
+      return response.aggregations.folders.buckets.map(bucket => ({
+        folder: bucket.key,
+        count: bucket.doc_count
+      }));
+    } catch (error) {
+      this.logger.error('Error getting folders:', error);
+      throw error;
+    }
+  }
+
+  async deleteEmail(emailId) {
+    try {
+      await this.client.delete({
+        index: this.indexName,
+        id: emailId
+      });
+      
+      this.logger.info(`Deleted email: ${emailId}`);
+    } catch (error) {
+      this.logger.error('Error deleting email:', error);
+      throw error;
+    }
+  }
+
+  async getStats() {
+    try {
+      const response = await this.client.search({
+        index: this.indexName,
+        body: {
+          aggs: {
+            total_emails: {
+              cardinality: {
+                field: 'canonicalId',
+                precision_threshold: 40000
+              }
+            },
+            by_account: {
+              terms: {
+                field: 'email',
+                size: 10
+              }
+            },
+            by_category: {
+              terms: {
+                field: 'category',
+                size: 10
+              },
+              aggs: {
+                messages: { cardinality: { field: 'canonicalId', precision_threshold: 40000 } }
+              }
+            },
+            by_folder: {
+              terms: {
+                field: 'folder',
+                size: 10
+              }
+            }
+          },
+          size: 0
+        }
+      });
+
+      return {
+        totalEmails: response.aggregations.total_emails.value,
+        byAccount: response.aggregations.by_account.buckets,
+        byCategory: response.aggregations.by_category.buckets.map(bucket => ({
+          key: bucket.key,
+          doc_count: bucket.messages.value
+        })),
+        byFolder: response.aggregations.by_folder.buckets
       };
     } catch (error) {
       this.logger.error('Error getting stats:', error);
@@ -407,7 +1634,7 @@ class ElasticsearchService {
   }
 
   isConnected() {
-    return this.isConnected;
+    return this.connected;
   }
 }
 
@@ -0,0 +1,223 @@
+const { once } = require('events');
+const archiver = require('archiver');
+const contentDisposition = require('content-disposition');
+const MailComposer = require('nodemailer/lib/mail-composer');
+const moment = require('moment');
+const winston = require('winston');
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+  mbox: { contentType: 'application/mbox', extension: 'mbox' },
+  eml: { contentType: 'application/zip', extension: 'zip' }
+};
+
+const CSV_COLUMNS = ['id', 'date', 'email', 'folder', 'from', 'to', 'subject', 'category', 'flags', 'messageId', 'attachments'];
+
+// Streams search results to an HTTP response one email at a time. Raw messages are not kept,
+// so .eml and mbox exports are rebuilt from the indexed fields and the stored attachments.
+class ExportService {
+  constructor(elasticsearchService, attachmentStore) {
+    this.elasticsearchService = elasticsearchService;
+    this.attachmentStore = attachmentStore;
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/export.log' }),
+        new winston.transports.Console()
+      ]
+    });
+  }
+
+  getFormats() {
+    return Object.keys(FORMATS);
+  }
+
+  // Rejects without writing anything if the search itself fails, so the caller can still answer
+  // with an error; failures after that cut the download short
+  async exportEmails(res, format, query, sort) {
+    const { contentType, extension } = FORMATS[format];
+    const scroll = this.elasticsearchService.scrollEmails(query, sort);
+    const first = await scroll.next();
+    const emails = this.resume(first, scroll);
+    const startedAt = Date.now();
+    let count = 0;
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', contentDisposition(`emails-${moment().format('YYYYMMDD-HHmmss')}.${extension}`));
+
+    try {
+      if (format === 'eml') {
+        count = await this.writeEmlArchive(res, emails);
+      } else {
+        if (format === 'csv') {
+          // BOM so spreadsheet apps detect UTF-8
+          await this.write(res, `\ufeff${CSV_COLUMNS.join(',')}\r\n`);
+        }
+        for await (const email of emails) {
+          if (!await this.write(res, await this.formatEmail(format, email))) break;
+          count++;
+        }
+        res.end();
+      }
+
+      this.logger.info(`Exported ${count} emails as ${format} in ${Date.now() - startedAt}ms`);
+    } catch (error) {
+      this.logger.error(`Export as ${format} failed after ${count} emails:`, error);
+      res.destroy(error);
+    }
+  }
+
+  async *resume(first, scroll) {
+    if (first.done) return;
+    yield first.value;
+    yield* scroll;
+  }
+
+  async formatEmail(format, email) {
+    switch (format) {
+    case 'csv':
+      return `${CSV_COLUMNS.map(column => this.toCsvField(this.getCsvValue(email, column))).join(',')}\r\n`;
+    case 'jsonl':
+      return `${JSON.stringify(email)}\n`;
+    case 'mbox':
+      return this.toMboxEntry(email, await this.buildMessage(email).build());
+    }
+  }
+
+  // Waits for the client to take the data; false once it has gone away
+  async write(res, chunk) {
+    if (res.destroyed) {
+      return false;
+    }
+    if (!res.write(chunk)) {
+      await new Promise(resolve => {
+        const done = () => {
+          res.off('drain', done);
+          res.off('close', done);
+          resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+      });
+    }
+    return !res.destroyed;
+  }
+
+  async writeEmlArchive(res, emails) {
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    const names = new Set();
+    let count = 0;
+
+    // Once the client is gone nothing drains the pipe, and waiting on the archive would hang forever
+    const disconnected = new Promise((resolve, reject) => {
+      res.once('close', () => {
+        if (!res.writableFinished) {
+          archive.abort();
+          reject(new Error('Client disconnected'));
+        }
+      });
+    });
+    disconnected.catch(() => {});
+
+    archive.on('warning', error => this.logger.warn(`Export archive warning: ${error.message}`));
+    archive.pipe(res);
+
+    for await (const email of emails) {
+      // One entry in flight at a time; the pipe to the response provides the backpressure
+      const added = once(archive, 'entry');
+      archive.append(this.buildMessage(email).createReadStream(), {
+        name: this.getEmlName(email, names),
+        date: email.date ? new Date(email.date) : new Date()
+      });
+      await Promise.race([added, disconnected]);
+      count++;
+    }
+
+    await Promise.race([archive.finalize(), disconnected]);
+    return count;
+  }
+
+  buildMessage(email) {
+    const attachments = (email.attachments || [])
+      .filter(attachment => attachment.hash && this.attachmentStore.exists(attachment.hash))
+      .map(attachment => ({
+        filename: attachment.filename || undefined,
+        contentType: attachment.contentType,
+        path: this.attachmentStore.getPath(attachment.hash)
+      }));
+
+    return new MailComposer({
+      from: email.from || undefined,
+      to: email.to || undefined,
+      subject: email.subject || '',
+      date: email.date ? new Date(email.date) : undefined,
+      messageId: email.messageId || undefined,
+      inReplyTo: email.inReplyTo || undefined,
+      references: email.references || undefined,
+      text: email.text || undefined,
+      html: email.html || undefined,
+      attachments: attachments,
+      headers: this.getStatusHeaders(email.flags || [])
+    }).compile();
+  }
+
+  // Read, answered and flagged state as mbox Status / X-Status headers, which the importer reads back
+  getStatusHeaders(flags) {
+    const headers = { Status: flags.includes('\\Seen') ? 'RO' : 'O' };
+    const xStatus = `${flags.includes('\\Answered') ? 'A' : ''}${flags.includes('\\Flagged') ? 'F' : ''}`;
+    if (xStatus) {
+      headers['X-Status'] = xStatus;
+    }
+    return headers;
+  }
+
+  // mboxrd: a "From " separator line, then the message with ">"-escaped "From " lines
+  toMboxEntry(email, message) {
+    const sender = (email.from || '').match(/<([^>\s]+)>/)?.[1] || (email.from || '').match(/\S+@\S+/)?.[0] || 'MAILER-DAEMON';
+    const date = moment.utc(email.date || undefined);
+    const separator = `From ${sender} ${date.format('ddd MMM')} ${date.format('D').padStart(2, ' ')} ${date.format('HH:mm:ss YYYY')}`;
+    const body = message.toString('latin1').replace(/\r\n/g, '\n').replace(/^(>*From )/gm, '>$1');
+
+    return Buffer.from(`${separator}\n${body}${body.endsWith('\n') ? '' : '\n'}\n`, 'latin1');
+  }
+
+  getEmlName(email, names) {
+    const subject = (email.subject || 'no-subject').replace(/[^\w\- ]+/g, '').trim().slice(0, 60) || 'no-subject';
+    const base = `${moment(email.date || undefined).format('YYYYMMDD-HHmmss')} ${subject}`;
+    let name = `${base}.eml`;
+    for (let i = 2; names.has(name); i++) {
+      name = `${base} (${i}).eml`;
+    }
+    names.add(name);
+    return name;
+  }
+
+  getCsvValue(email, column) {
+    switch (column) {
+    case 'date':
+      return email.date ? new Date(email.date).toISOString() : '';
+    case 'flags':
+      return (email.flags || []).join(' ');
+    case 'attachments':
+      return (email.attachments || []).map(attachment => attachment.filename || 'attachment').join('; ');
+    default:
+      return email[column] ?? '';
+    }
+  }
+
+  toCsvField(value) {
+    let text = String(value);
+    // Keep spreadsheet apps from evaluating subjects such as "=HYPERLINK(...)" as formulas
+    if (/^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+module.exports = ExportService;
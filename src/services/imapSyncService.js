@@ -1,17 +1,77 @@
+const { EventEmitter } = require('events');
 const Imap = require('imap');
 const { simpleParser } = require('mailparser');
-const moment = require('moment');
 const winston = require('winston');
+const BackfillService = require('./backfillService');
+const IngestionService = require('./ingestionService');
+const AutoResponseService = require('./autoResponseService');
+const ReplyExtractionService = require('./replyExtractionService');
 
-class ImapSyncService {
-  constructor(elasticsearchService, aiCategorizationService, slackService, webhookService, io) {
+// RFC 6154 special-use attributes and the folder names they are indexed under
+const SPECIAL_USE_FOLDERS = {
+  '\\Sent': 'Sent',
+  '\\Junk': 'Junk',
+  '\\Trash': 'Trash',
+  '\\Archive': 'Archive',
+  '\\Drafts': 'Drafts',
+  '\\All': 'All Mail',
+  '\\Flagged': 'Starred',
+  '\\Important': 'Important'
+};
+
+// Fallback for servers without SPECIAL-USE / XLIST
+const WELL_KNOWN_FOLDERS = {
+  'sent': 'Sent',
+  'sent items': 'Sent',
+  'sent mail': 'Sent',
+  'sent messages': 'Sent',
+  'junk': 'Junk',
+  'junk e-mail': 'Junk',
+  'junk email': 'Junk',
+  'spam': 'Junk',
+  'bulk mail': 'Junk',
+  'trash': 'Trash',
+  'deleted items': 'Trash',
+  'deleted messages': 'Trash',
+  'archive': 'Archive',
+  'archives': 'Archive',
+  'drafts': 'Drafts'
+};
+
+// Our own outgoing mail is indexed but never categorized or notified about
+const OUTGOING_FOLDERS = ['Sent', 'Drafts'];
+
+// Emits `email-processed` (emailData, { notify }) once a new message is indexed and categorized;
+// `notify` is false for imported archives, backfilled history and the app's own Sent copies,
+// none of which is new mail
+class ImapSyncService extends EventEmitter {
+  constructor(elasticsearchService, aiCategorizationService, slackService, webhookService, io, accountService, tokenProvider, attachmentStore) {
+    super();
     this.elasticsearchService = elasticsearchService;
     this.aiCategorizationService = aiCategorizationService;
     this.slackService = slackService;
     this.webhookService = webhookService;
     this.io = io;
+    this.accountService = accountService;
+    this.tokenProvider = tokenProvider;
+    this.attachmentStore = attachmentStore;
     this.connections = new Map();
-    this.isRunning = false;
+    this.checkpoints = new Map();
+    this.newMailFetches = new Map();
+    this.mailboxes = new Map();
+    this.serverMailboxes = new Map();
+    this.selectedBoxes = new Map();
+    this.mailboxLocks = new Map();
+    this.folderPollers = new Map();
+    this.accountStatus = new Map();
+    this.flagCache = new Map();
+    this.reconcileTimers = new Map();
+    this.reconnectTimers = new Map();
+    this.backfill = new BackfillService(this);
+    this.ingestion = new IngestionService(this);
+    this.autoResponses = new AutoResponseService();
+    this.replyExtraction = new ReplyExtractionService();
+    this.running = false;
     this.logger = winston.createLogger({
       level: 'info',
       format: winston.format.combine(
@@ -29,27 +89,20 @@ class ImapSyncService {
     try {
       this.logger.info('Starting IMAP sync service...');
       
-      const emailAccounts = process.env.EMAIL_ACCOUNTS?.split(',') || [];
-      const emailPasswords = process.env.EMAIL_PASSWORDS?.split(',') || [];
+      const accounts = (await this.accountService.load()).filter(account => account.enabled);
       
-      if (emailAccounts.length === 0) {
-        throw new Error('No email accounts configured');
+      if (accounts.length === 0) {
+        this.logger.warn('No email accounts configured, add one through /api/accounts');
       }
 
-      if (emailAccounts.length !== emailPasswords.length) {
-        throw new Error('Email accounts and passwords count mismatch');
-      }
+      this.running = true;
 
-      // Initialize connections for each email account
-      for (let i = 0; i < emailAccounts.length; i++) {
-        const email = emailAccounts[i].trim();
-        const password = emailPasswords[i].trim();
-        
-        await this.initializeConnection(email, password);
-      }
+      // Initialize connections for each email account; a failing account is retried
+      // in the background instead of keeping the others from starting
+      const results = await Promise.allSettled(accounts.map(account => this.initializeConnection(account)));
+      const failed = results.filter(result => result.status === 'rejected').length;
 
-      this.isRunning = true;
-      this.logger.info('IMAP sync service started successfully');
+      this.logger.info(`IMAP sync service started: ${accounts.length - failed}/${accounts.length} accounts connected`);
       
     } catch (error) {
       this.logger.error('Failed to start IMAP sync service:', error);
@@ -57,108 +110,612 @@ class ImapSyncService {
     }
   }
 
-  async initializeConnection(email, password) {
+  async initializeConnection(account) {
+    const { email } = account;
+    this.setAccountStatus(email, { state: 'connecting', nextRetryAt: null });
+
+    let imap;
+    try {
+      imap = await this.createConnection(account);
+    } catch (error) {
+      // Token refresh failures are retried like any other connection error
+      this.logger.error(`Could not prepare IMAP connection for ${email}:`, error);
+      this.recordError(email, error);
+      if (this.running) {
+        this.scheduleReconnect(email);
+      }
+      throw error;
+    }
+
     return new Promise((resolve, reject) => {
-      const imap = new Imap({
-        user: email,
-        password: password,
-        host: process.env.IMAP_HOST || 'imap.gmail.com',
-        port: parseInt(process.env.IMAP_PORT) || 993,
-        tls: process.env.IMAP_SECURE === 'true',
-        tlsOptions: { rejectUnauthorized: false }
-      });
 
       imap.once('ready', async () => {
         this.logger.info(`Connected to IMAP for ${email}`);
         this.connections.set(email, imap);
+        this.setAccountStatus(email, { state: 'syncing', connectedAt: new Date() });
         
         try {
-          // Initial sync - fetch last 30 days
-          await this.syncEmails(email, imap);
+          // Initial sync - backfill window on first run, otherwise resume from the checkpoint
+          await this.syncEmails(account, imap);
+
+          if (this.connections.get(email) !== imap) {
+            throw new Error('Connection closed during initial sync');
+          }
+          this.setAccountStatus(email, { state: 'connected', lastSyncAt: new Date(), retries: 0 });
           
           // Set up IDLE mode for real-time updates
           this.setupIdleMode(email, imap);
+
+          // Other folders cannot be IDLEd on the same connection, so poll them with STATUS
+          this.setupFolderPolling(account, imap);
           
           resolve();
         } catch (error) {
           this.logger.error(`Error during initial sync for ${email}:`, error);
+          this.recordError(email, error);
+          // Closing hands the account to the reconnect supervisor
+          imap.end();
           reject(error);
         }
       });
 
-      imap.once('error', (err) => {
+      // Several errors can be emitted for one failure (e.g. a socket error and a timeout)
+      imap.on('error', (err) => {
         this.logger.error(`IMAP connection error for ${email}:`, err);
+        this.recordError(email, err);
+        if (err.source === 'authentication' && account.auth.method === 'xoauth2') {
+          // The cached access token may have been revoked; fetch a fresh one next time
+          this.tokenProvider.invalidate(email);
+        }
         reject(err);
       });
 
-      imap.once('end', () => {
+      // `close` follows both a clean LOGOUT and a dropped socket, `end` only the former
+      imap.once('close', () => {
         this.logger.info(`IMAP connection ended for ${email}`);
-        this.connections.delete(email);
+        if (this.connections.get(email) === imap) {
+          this.connections.delete(email);
+          this.clearAccountState(email);
+        }
+
+        const status = this.accountStatus.get(email);
+        if (this.running && status && status.state !== 'paused') {
+          this.scheduleReconnect(email);
+        }
       });
 
       imap.connect();
     });
   }
 
-  async syncEmails(email, imap) {
+  scheduleReconnect(email) {
+    const account = this.accountService.get(email);
+    if (!account || !account.enabled || this.reconnectTimers.has(email)) {
+      return;
+    }
+
+    const retries = (this.accountStatus.get(email)?.retries || 0) + 1;
+    const baseDelay = parseInt(process.env.IMAP_RECONNECT_BASE_DELAY) || 1000;
+    const maxDelay = parseInt(process.env.IMAP_RECONNECT_MAX_DELAY) || 300000;
+
+    // Exponential backoff with jitter so accounts on the same server do not reconnect in lockstep
+    const ceiling = Math.min(baseDelay * 2 ** (retries - 1), maxDelay);
+    const delay = Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+
+    this.setAccountStatus(email, {
+      state: 'reconnecting',
+      retries: retries,
+      nextRetryAt: new Date(Date.now() + delay)
+    });
+    this.logger.info(`Reconnecting ${email} in ${delay}ms (attempt ${retries})`);
+
+    this.reconnectTimers.set(email, setTimeout(() => {
+      this.reconnectTimers.delete(email);
+      const current = this.accountService.get(email);
+      if (!this.running || !current || !current.enabled || this.connections.has(email)) {
+        return;
+      }
+      this.initializeConnection(current).catch(error => {
+        this.logger.warn(`Reconnect attempt ${retries} failed for ${email}: ${error.message}`);
+      });
+    }, delay));
+  }
+
+  cancelReconnect(email) {
+    clearTimeout(this.reconnectTimers.get(email));
+    this.reconnectTimers.delete(email);
+  }
+
+  recordError(email, error) {
+    this.setAccountStatus(email, {
+      state: 'error',
+      lastError: error.message,
+      lastErrorAt: new Date()
+    });
+  }
+
+  async createConnection(account) {
+    const user = account.user || account.email;
+    const credentials = { user: user };
+
+    if (account.auth.method === 'xoauth2') {
+      const accessToken = await this.tokenProvider.getAccessToken(account);
+      credentials.xoauth2 = this.tokenProvider.buildXOAuth2Token(user, accessToken);
+    } else {
+      credentials.password = account.auth.password;
+    }
+
+    return new Imap({
+      ...credentials,
+      host: account.host,
+      port: account.port,
+      tls: account.tls,
+      tlsOptions: { rejectUnauthorized: false, servername: account.host },
+      keepalive: {
+        interval: parseInt(process.env.IMAP_KEEPALIVE_INTERVAL) || 10000,
+        idleInterval: 300000, // re-issue IDLE well inside the 29 minute server timeout
+        forceNoop: process.env.IMAP_FORCE_NOOP === 'true'
+      }
+    });
+  }
+
+  async testConnection(account) {
+    const imap = await this.createConnection(account);
+
     return new Promise((resolve, reject) => {
-      imap.openBox('INBOX', true, (err, box) => {
-        if (err) {
-          this.logger.error(`Error opening INBOX for ${email}:`, err);
-          return reject(err);
+      let settled = false;
+
+      imap.once('ready', () => {
+        this.logger.info(`Test connection succeeded for ${account.email}`);
+        settled = true;
+        imap.end();
+        resolve(true);
+      });
+
+      // Stays attached after the result: one failure can emit several errors, and the socket can
+      // still fail while logging out, which would otherwise be an unhandled 'error' event
+      imap.on('error', (err) => {
+        if (settled) {
+          this.logger.debug(`Test connection for ${account.email} closed with an error: ${err.message}`);
+          return;
         }
+        settled = true;
+        this.logger.warn(`Test connection failed for ${account.email}: ${err.message}`);
+        // No LOGOUT after e.g. a rejected login; just close the socket
+        imap.destroy();
+        reject(err);
+      });
 
-        // Search for emails from last 30 days
-        const thirtyDaysAgo = moment().subtract(30, 'days').format('DD-MMM-YYYY');
-        const searchCriteria = ['SINCE', thirtyDaysAgo];
-        
-        imap.search(searchCriteria, (err, results) => {
-          if (err) {
-            this.logger.error(`Error searching emails for ${email}:`, err);
-            return reject(err);
-          }
+      imap.connect();
+    });
+  }
 
-          if (!results || results.length === 0) {
-            this.logger.info(`No emails found for ${email} in last 30 days`);
-            return resolve();
-          }
+  // Connects an account and syncs it in the background; failures are reported through getConnectionStatus()
+  startAccount(account) {
+    this.initializeConnection(account).catch(error => {
+      this.logger.error(`Failed to start account ${account.email}:`, error);
+    });
+  }
 
-          this.logger.info(`Found ${results.length} emails for ${email}, processing...`);
+  async disconnectAccount(email) {
+    const connection = this.connections.get(email);
+    if (!connection) {
+      return false;
+    }
 
-          const fetch = imap.fetch(results, { bodies: '', struct: true });
-          let processedCount = 0;
+    await new Promise(resolve => {
+      // Give the server a moment to answer LOGOUT, then drop the socket
+      const timer = setTimeout(() => connection.destroy(), 5000);
+      connection.once('close', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      connection.end();
+    });
+    this.logger.info(`Closed connection for ${email}`);
+    return true;
+  }
 
-          fetch.on('message', (msg, seqno) => {
-            this.processEmailMessage(msg, email, seqno, () => {
-              processedCount++;
-              if (processedCount === results.length) {
-                this.logger.info(`Completed initial sync for ${email}: ${processedCount} emails processed`);
-                resolve();
-              }
-            });
-          });
+  async pauseAccount(email) {
+    this.setAccountStatus(email, { state: 'paused', nextRetryAt: null });
+    this.cancelReconnect(email);
+    await this.disconnectAccount(email);
+  }
 
-          fetch.once('error', (err) => {
-            this.logger.error(`Error fetching emails for ${email}:`, err);
-            reject(err);
-          });
+  resumeAccount(account) {
+    if (this.connections.has(account.email)) {
+      return;
+    }
+    this.cancelReconnect(account.email);
+    this.setAccountStatus(account.email, { retries: 0 });
+    this.startAccount(account);
+  }
 
-          fetch.once('end', () => {
-            this.logger.info(`Fetch completed for ${email}`);
-          });
+  async resyncAccount(account) {
+    const { email } = account;
+    await this.elasticsearchService.deleteSyncStateByAccount(email);
+
+    const imap = this.connections.get(email);
+    if (!imap) {
+      this.startAccount(account);
+      return;
+    }
+
+    // Without checkpoints every folder is backfilled again; messages already indexed are skipped
+    this.backfill.removeAccount(email);
+    for (const key of this.checkpoints.keys()) {
+      if (key.startsWith(`${email}_`)) {
+        this.checkpoints.delete(key);
+        this.flagCache.delete(key);
+      }
+    }
+    this.setAccountStatus(email, { state: 'syncing' });
+    this.syncEmails(account, imap)
+      .then(() => this.setAccountStatus(email, { state: 'connected', lastSyncAt: new Date() }))
+      .catch(error => {
+        this.logger.error(`Error resyncing ${email}:`, error);
+        this.setAccountStatus(email, { lastError: error.message, lastErrorAt: new Date() });
+      });
+  }
+
+  async removeAccount(email, { purge = false } = {}) {
+    this.setAccountStatus(email, { state: 'paused' });
+    this.cancelReconnect(email);
+    await this.disconnectAccount(email);
+    this.accountStatus.delete(email);
+    this.backfill.removeAccount(email);
+
+    await this.elasticsearchService.deleteSyncStateByAccount(email);
+    if (purge) {
+      await this.elasticsearchService.deleteEmailsByAccount(email);
+    }
+  }
+
+  setAccountStatus(email, changes) {
+    this.accountStatus.set(email, {
+      state: 'disconnected',
+      connectedAt: null,
+      lastSyncAt: null,
+      lastError: null,
+      lastErrorAt: null,
+      retries: 0,
+      nextRetryAt: null,
+      ...this.accountStatus.get(email),
+      ...changes
+    });
+  }
+
+  async syncEmails(account, imap) {
+    const { email } = account;
+    // Everything on the server is kept for write-back targets such as Trash, even if it is not synced
+    const serverMailboxes = await this.listServerMailboxes(imap);
+    const mailboxes = this.filterMailboxes(account, serverMailboxes);
+    this.serverMailboxes.set(email, serverMailboxes);
+    this.mailboxes.set(email, mailboxes);
+    this.logger.info(`Syncing ${mailboxes.length} folders for ${email}: ${mailboxes.map(m => m.path).join(', ')}`);
+
+    try {
+      await this.elasticsearchService.deleteLegacyEmails(email);
+    } catch (error) {
+      this.logger.error(`Error removing legacy emails for ${email}:`, error);
+    }
+
+    for (const mailbox of mailboxes) {
+      try {
+        await this.syncMailbox(account, imap, mailbox);
+      } catch (error) {
+        // One unreadable folder should not keep the rest of the account from syncing
+        this.logger.error(`Error syncing ${email}/${mailbox.path}:`, error);
+      }
+    }
+
+    // Only reconcile once every folder is caught up, so messages moved while we were
+    // offline are already indexed at their destination and are not mistaken for deletions
+    for (const mailbox of mailboxes) {
+      try {
+        await this.reconcileMailbox(email, imap, mailbox);
+      } catch (error) {
+        this.logger.error(`Error reconciling ${email}/${mailbox.path}:`, error);
+      }
+    }
+  }
+
+  async reconcileMailbox(email, imap, mailbox) {
+    const key = this.checkpointKey(email, mailbox.path);
+    const state = this.checkpoints.get(key);
+    if (!state || state.lastUid === 0) {
+      return 0;
+    }
+
+    // Messages above the checkpoint may still be in flight, so leave them alone
+    const indexed = (await this.elasticsearchService.getMailboxMessages(email, mailbox.path))
+      .filter(message => message.uid <= state.lastUid);
+    if (indexed.length === 0) {
+      return 0;
+    }
+
+    const lowestUid = indexed.reduce((lowest, message) => Math.min(lowest, message.uid), Infinity);
+    const serverUids = await this.withMailbox(email, imap, mailbox.path, () =>
+      this.search(imap, [['UID', `${lowestUid}:${state.lastUid}`]])
+    );
+    const present = new Set(serverUids);
+    const removed = indexed.filter(message => !present.has(message.uid));
+    if (removed.length === 0) {
+      return 0;
+    }
+
+    const removedIds = removed.map(message => message.id);
+    let moved = 0;
+
+    // The destination copy of a just-moved message may not be searchable yet
+    await this.elasticsearchService.refreshIndex();
+
+    for (const message of removed) {
+      // A copy elsewhere (the destination of a move, or the same message in another account)
+      // now stands in for it in the unified list
+      const copy = await this.elasticsearchService.findEmailCopy(message.canonicalId || message.id, removedIds);
+
+      if (copy) {
+        moved++;
+        this.io.to('email-updates').emit('email-moved', {
+          id: message.id,
+          newId: copy.id,
+          folder: copy.folder
         });
+      } else {
+        this.io.to('email-updates').emit('email-deleted', {
+          id: message.id
+        });
+      }
+      this.flagCache.get(key)?.delete(message.uid);
+    }
+
+    await this.elasticsearchService.deleteEmails(removedIds);
+    await this.aiCategorizationService.deleteEmailContexts(removedIds);
+
+    this.logger.info(`Removed ${removed.length} emails from ${email}/${mailbox.path} (${moved} moved, ${removed.length - moved} deleted)`);
+    return removed.length;
+  }
+
+  scheduleReconcile(email, imap, mailbox) {
+    // Expunges tend to arrive in bursts (e.g. emptying Trash), so wait for them to settle
+    const key = this.checkpointKey(email, mailbox.path);
+    clearTimeout(this.reconcileTimers.get(key));
+    this.reconcileTimers.set(key, setTimeout(() => {
+      this.reconcileTimers.delete(key);
+      if (this.connections.get(email) !== imap) return;
+
+      this.reconcileMailbox(email, imap, mailbox).catch(error => {
+        this.logger.error(`Error reconciling ${email}/${mailbox.path}:`, error);
+      });
+    }, parseInt(process.env.IMAP_EXPUNGE_DEBOUNCE) || 2000));
+  }
+
+  syncMailbox(account, imap, mailbox) {
+    const { email } = account;
+    return this.withMailbox(email, imap, mailbox.path, async (box) => {
+      const key = this.checkpointKey(email, mailbox.path);
+      const checkpoint = await this.elasticsearchService.getSyncState(email, mailbox.path);
+
+      if (checkpoint && checkpoint.uidValidity === box.uidvalidity) {
+        this.logger.info(`Resuming sync for ${email}/${mailbox.path} after UID ${checkpoint.lastUid}`);
+        this.checkpoints.set(key, checkpoint);
+        await this.fetchSinceCheckpoint(email, imap, mailbox);
+        this.backfill.enqueue(email, mailbox, checkpoint);
+        return;
+      }
+
+      if (checkpoint) {
+        // UIDs from the old UIDVALIDITY epoch no longer identify the same messages
+        this.logger.warn(`UIDVALIDITY changed for ${email}/${mailbox.path} (${checkpoint.uidValidity} -> ${box.uidvalidity}), running full resync`);
+        await this.elasticsearchService.deleteEmailsByMailbox(email, mailbox.path);
+      }
+
+      // New mail is tracked from the current UIDNEXT right away; everything older is
+      // fetched by a background backfill job instead of holding up the connection
+      const lastUid = Math.max(box.uidnext - 1, 0);
+      const state = {
+        email: email,
+        mailbox: mailbox.path,
+        uidValidity: box.uidvalidity,
+        lastUid: lastUid,
+        highestModseq: box.highestmodseq || null,
+        backfill: this.backfill.buildBackfillState(account.backfillDays, lastUid)
+      };
+
+      this.checkpoints.set(key, state);
+      await this.elasticsearchService.saveSyncState(state);
+      this.backfill.enqueue(email, mailbox, state);
+      this.logger.info(`Initialized sync for ${email}/${mailbox.path} at UID ${lastUid}, backfill window: ${account.backfillDays === 'all' ? 'all mail' : `${account.backfillDays} days`}`);
+    });
+  }
+
+  async fetchSinceCheckpoint(email, imap, mailbox) {
+    const state = this.checkpoints.get(this.checkpointKey(email, mailbox.path));
+    const lastUid = state.lastUid;
+    const results = await this.search(imap, [['UID', `${lastUid + 1}:*`]]);
+
+    // `n:*` always matches the highest UID, even when it is below n
+    const newUids = results.filter(uid => uid > lastUid);
+    if (newUids.length === 0) {
+      return 0;
+    }
+
+    this.logger.info(`Found ${newUids.length} new emails for ${email}/${mailbox.path}`);
+    const processed = await this.fetchMessages(email, imap, mailbox, newUids);
+    this.advanceCheckpoint(state, processed);
+    await this.elasticsearchService.saveSyncState(state);
+    return processed.length;
+  }
+
+  async listServerMailboxes(imap) {
+    const boxes = await new Promise((resolve, reject) => {
+      imap.getBoxes((err, result) => err ? reject(err) : resolve(result));
+    });
+
+    const mailboxes = [];
+    const walk = (children, prefix) => {
+      for (const [name, box] of Object.entries(children || {})) {
+        const path = prefix ? `${prefix}${box.delimiter || '/'}${name}` : name;
+        const attribs = box.attribs || [];
+        const selectable = box.attribs && !attribs.some(attr => /^\\(Noselect|NonExistent)$/i.test(attr));
+
+        if (selectable) {
+          mailboxes.push({
+            path: path,
+            folder: this.normalizeFolderName(path, name, box),
+            specialUse: box.special_use_attrib || null
+          });
+        }
+        walk(box.children, path);
+      }
+    };
+    walk(boxes, '');
+    return mailboxes;
+  }
+
+  filterMailboxes(account, mailboxes) {
+    const filter = account.folders;
+    const matches = (mailbox, list) => list.some(entry =>
+      entry.toLowerCase() === mailbox.path.toLowerCase() || entry.toLowerCase() === mailbox.folder.toLowerCase()
+    );
+
+    // INBOX always comes first so that IDLE can start as early as possible
+    return mailboxes
+      .filter(mailbox => mailbox.path.toUpperCase() === 'INBOX' || !filter.include || matches(mailbox, filter.include))
+      .filter(mailbox => !matches(mailbox, filter.exclude))
+      .sort((a, b) => (b.folder === 'INBOX') - (a.folder === 'INBOX'));
+  }
+
+  normalizeFolderName(path, name, box) {
+    if (path.toUpperCase() === 'INBOX') {
+      return 'INBOX';
+    }
+    if (box.special_use_attrib && SPECIAL_USE_FOLDERS[box.special_use_attrib]) {
+      return SPECIAL_USE_FOLDERS[box.special_use_attrib];
+    }
+    return WELL_KNOWN_FOLDERS[name.toLowerCase()] || path;
+  }
+
+  checkpointKey(email, path) {
+    return `${email}_${path}`;
+  }
+
+  buildEmailId(email, path, uid) {
+    return `${email}_${path}_${uid}`;
+  }
+
+  withMailbox(email, imap, path, fn, { readOnly = true } = {}) {
+    // Commands act on whichever mailbox is selected, so callers take turns per connection
+    const previous = this.mailboxLocks.get(email) || Promise.resolve();
+    const run = previous.then(async () => {
+      let box = this.selectedBoxes.get(email);
+      if (!box || box.name !== path || (!readOnly && box.readOnly)) {
+        box = await this.openBox(imap, path, readOnly);
+        this.selectedBoxes.set(email, box);
+      }
+
+      try {
+        return await fn(box);
+      } finally {
+        // Return to INBOX so IDLE keeps watching for new mail
+        if (path !== 'INBOX' && this.connections.has(email)) {
+          try {
+            this.selectedBoxes.set(email, await this.openBox(imap, 'INBOX'));
+          } catch (error) {
+            this.selectedBoxes.delete(email);
+            this.logger.error(`Error reopening INBOX for ${email}:`, error);
+          }
+        }
+      }
+    });
+
+    this.mailboxLocks.set(email, run.catch(() => {}));
+    return run;
+  }
+
+  clearAccountState(email) {
+    for (const key of this.checkpoints.keys()) {
+      if (key.startsWith(`${email}_`)) {
+        this.checkpoints.delete(key);
+        this.flagCache.delete(key);
+        clearTimeout(this.reconcileTimers.get(key));
+        this.reconcileTimers.delete(key);
+      }
+    }
+    clearInterval(this.folderPollers.get(email));
+    this.folderPollers.delete(email);
+    this.mailboxes.delete(email);
+    this.serverMailboxes.delete(email);
+    this.selectedBoxes.delete(email);
+    this.mailboxLocks.delete(email);
+  }
+
+  openBox(imap, folder, readOnly = true) {
+    return new Promise((resolve, reject) => {
+      imap.openBox(folder, readOnly, (err, box) => err ? reject(err) : resolve(box));
+    });
+  }
+
+  search(imap, criteria) {
+    return new Promise((resolve, reject) => {
+      imap.search(criteria, (err, uids) => err ? reject(err) : resolve(uids || []));
+    });
+  }
+
+  // Fetches in batches, waiting for room in the ingestion pipeline before each one.
+  // `options` are passed on to the pipeline, e.g. `{ notify: false }` for backfilled history.
+  async fetchMessages(email, imap, mailbox, uids, options = {}) {
+    const processed = [];
+    for (let i = 0; i < uids.length; i += this.ingestion.fetchBatchSize) {
+      await this.ingestion.waitForCapacity();
+      processed.push(...await this.fetchMessageBatch(email, imap, mailbox, uids.slice(i, i + this.ingestion.fetchBatchSize), options));
+    }
+    return processed;
+  }
+
+  fetchMessageBatch(email, imap, mailbox, uids, options) {
+    return new Promise((resolve, reject) => {
+      const fetch = imap.fetch(uids, { bodies: '', struct: true });
+      const pending = [];
+
+      fetch.on('message', (msg, seqno) => {
+        pending.push(new Promise(done => this.processEmailMessage(msg, email, mailbox, seqno, options, done)));
+      });
+
+      fetch.once('error', (err) => {
+        this.logger.error(`Error fetching emails for ${email}:`, err);
+        reject(err);
+      });
+
+      fetch.once('end', () => {
+        this.logger.info(`Fetch completed for ${email}`);
+        Promise.all(pending).then(resolve);
       });
     });
   }
 
-  processEmailMessage(msg, email, seqno, callback) {
-    let buffer = '';
+  advanceCheckpoint(state, messageAttributes) {
+    for (const attributes of messageAttributes) {
+      if (attributes.uid > state.lastUid) {
+        state.lastUid = attributes.uid;
+      }
+      // MODSEQ is a 63-bit value, so compare as BigInt
+      if (attributes.modseq && (!state.highestModseq || BigInt(attributes.modseq) > BigInt(state.highestModseq))) {
+        state.highestModseq = String(attributes.modseq);
+      }
+    }
+  }
+
+  processEmailMessage(msg, email, mailbox, seqno, options, callback) {
+    let parsing = null;
     let attributes = {};
 
     msg.on('body', (stream, info) => {
-      stream.on('data', (chunk) => {
-        buffer += chunk.toString('utf8');
-      });
+      // Parse the raw bytes as they arrive; decoding to a string first mangles 8-bit and binary parts
+      parsing = simpleParser(stream);
+      // Failures are reported once the message ends; this only keeps an early rejection from going unhandled
+      parsing.catch(() => {});
     });
 
     msg.on('attributes', (attrs) => {
@@ -167,112 +724,470 @@ class ImapSyncService {
 
     msg.once('end', async () => {
       try {
-        const parsed = await simpleParser(buffer);
-        
-        const emailData = {
-          id: `${email}_${attributes.uid}`,
-          uid: attributes.uid,
-          email: email,
-          from: parsed.from?.text || '',
-          to: parsed.to?.text || '',
-          subject: parsed.subject || '',
-          date: parsed.date || new Date(),
-          text: parsed.text || '',
-          html: parsed.html || '',
-          attachments: parsed.attachments || [],
-          folder: 'INBOX',
-          flags: attributes.flags || [],
-          size: attributes.size || 0,
-          messageId: parsed.messageId || '',
-          inReplyTo: parsed.inReplyTo || '',
-          references: parsed.references || '',
-          createdAt: new Date(),
-          updatedAt: new Date()
-        };
-
-        // Store in Elasticsearch
-        await this.elasticsearchService.indexEmail(emailData);
-
-        // Categorize with AI
-        const category = await this.aiCategorizationService.categorizeEmail(emailData);
-        emailData.category = category;
-
-        // Update with category
-        await this.elasticsearchService.updateEmailCategory(emailData.id, category);
-
-        // Send notifications for interested emails
-        if (category === 'Interested') {
-          await this.slackService.sendNotification(emailData);
-          await this.webhookService.triggerWebhook(emailData);
+        if (!parsing) {
+          throw new Error(`No message body received for UID ${attributes.uid}`);
         }
+        const parsed = await parsing;
+        const emailData = this.buildEmailData(parsed, email, mailbox, attributes);
 
-        // Emit real-time update
-        this.io.to('email-updates').emit('new-email', {
-          id: emailData.id,
-          from: emailData.from,
-          subject: emailData.subject,
-          category: category,
-          date: emailData.date
+        // Resolves once the email is indexed; categorization and notifications continue in the pipeline
+        await this.ingestion.ingest(emailData, parsed.attachments, {
+          categorize: !OUTGOING_FOLDERS.includes(mailbox.folder),
+          ...options
         });
-
-        this.logger.info(`Processed email: ${emailData.subject} (${category})`);
-        callback();
+        callback(attributes);
 
       } catch (error) {
         this.logger.error(`Error processing email for ${email}:`, error);
-        callback();
+        callback(attributes);
       }
     });
   }
 
+  // Index document for a parsed message; attachments are filled in by the ingestion pipeline
+  buildEmailData(parsed, email, mailbox, attributes) {
+    return {
+      id: this.buildEmailId(email, mailbox.path, attributes.uid),
+      uid: attributes.uid,
+      email: email,
+      from: parsed.from?.text || '',
+      to: parsed.to?.text || '',
+      cc: parsed.cc?.text || '',
+      replyTo: parsed.replyTo?.text || '',
+      subject: parsed.subject || '',
+      date: parsed.date || new Date(),
+      text: parsed.text || '',
+      html: parsed.html || '',
+      // New text, quoted history and signature, so quoted outreach does not count as the reply
+      ...this.replyExtraction.extract(parsed.text, parsed.html),
+      attachments: [],
+      folder: mailbox.folder,
+      mailbox: mailbox.path,
+      flags: attributes.flags || [],
+      size: attributes.size || 0,
+      messageId: parsed.messageId || '',
+      inReplyTo: parsed.inReplyTo || '',
+      references: parsed.references || '',
+      // Out-of-office replies and bounces are categorized from their headers rather than by the LLM
+      ...this.autoResponses.detect(parsed),
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+  }
+
   setupIdleMode(email, imap) {
-    const checkForNewEmails = () => {
-      if (!this.connections.has(email)) return;
+    // node-imap keeps the selected INBOX in IDLE between commands (or sends NOOP
+    // when the server lacks IDLE) and emits `mail` for every untagged EXISTS
+    imap.on('mail', (numNewMsgs) => {
+      this.logger.info(`Server reported ${numNewMsgs} new message(s) for ${email}`);
+      this.fetchNewEmails(email, imap);
+    });
 
-      imap.openBox('INBOX', true, (err, box) => {
-        if (err) {
-          this.logger.error(`Error opening INBOX for IDLE check ${email}:`, err);
-          return;
+    // Unsolicited FETCH responses carry flag changes made by other mail clients
+    imap.on('update', (seqno, info) => {
+      this.handleFlagUpdate(email, imap, seqno, info);
+    });
+
+    // EXPUNGE only carries a sequence number, so work out what went missing by UID
+    imap.on('expunge', () => {
+      const box = this.selectedBoxes.get(email);
+      const mailbox = (this.mailboxes.get(email) || []).find(candidate => box && candidate.path === box.name);
+      if (mailbox) {
+        this.scheduleReconcile(email, imap, mailbox);
+      }
+    });
+
+    const mode = imap.serverSupports('IDLE') && process.env.IMAP_FORCE_NOOP !== 'true' ? 'IDLE' : 'NOOP polling';
+    this.logger.info(`${mode} mode setup completed for ${email}`);
+  }
+
+  async handleFlagUpdate(email, imap, seqno, info) {
+    const box = this.selectedBoxes.get(email);
+    const mailbox = (this.mailboxes.get(email) || []).find(candidate => box && candidate.path === box.name);
+    if (!info || !Array.isArray(info.flags) || !mailbox) {
+      return;
+    }
+
+    try {
+      let uid = info.uid;
+      if (!uid) {
+        const [attributes] = await this.withMailbox(email, imap, mailbox.path, () =>
+          this.fetchAttributes(imap, seqno, {}, true)
+        );
+        uid = attributes?.uid;
+      }
+
+      if (uid) {
+        await this.applyFlagChanges(email, mailbox, [{ uid: uid, flags: info.flags }]);
+      }
+    } catch (error) {
+      this.logger.error(`Error handling flag update for ${email}/${mailbox.path}:`, error);
+    }
+  }
+
+  async syncFlags(account, imap, mailbox) {
+    const { email } = account;
+    const key = this.checkpointKey(email, mailbox.path);
+
+    return this.withMailbox(email, imap, mailbox.path, async () => {
+      const state = this.checkpoints.get(key);
+      if (!state || state.lastUid === 0) {
+        return;
+      }
+
+      let changes;
+      if (imap.serverSupports('CONDSTORE') && state.highestModseq) {
+        // Only messages whose flags changed since the last known MODSEQ
+        changes = await this.fetchAttributes(imap, `1:${state.lastUid}`, {
+          modifiers: { changedsince: state.highestModseq }
+        });
+      } else {
+        // No CONDSTORE: fetch every known message's flags and diff against the index
+        if (!this.flagCache.has(key)) {
+          const indexed = await this.elasticsearchService.getMailboxMessages(email, mailbox.path);
+          this.flagCache.set(key, new Map(indexed.map(message => [message.uid, this.flagKey(message.flags || [])])));
         }
+        changes = await this.fetchAttributes(imap, `1:${state.lastUid}`, {});
+      }
 
-        // Check for new emails since last check
-        const lastCheck = moment().subtract(1, 'minute').format('DD-MMM-YYYY');
-        const searchCriteria = ['SINCE', lastCheck];
-        
-        imap.search(searchCriteria, (err, results) => {
-          if (err) {
-            this.logger.error(`Error searching for new emails ${email}:`, err);
-            return;
-          }
+      const updated = await this.applyFlagChanges(email, mailbox, changes);
+      if (changes.some(attributes => attributes.modseq)) {
+        const previousModseq = state.highestModseq;
+        this.advanceCheckpoint(state, changes);
+        if (state.highestModseq !== previousModseq) {
+          await this.elasticsearchService.saveSyncState(state);
+        }
+      }
+
+      if (updated > 0) {
+        this.logger.info(`Updated flags on ${updated} emails in ${email}/${mailbox.path}`);
+      }
+    });
+  }
+
+  async applyFlagChanges(email, mailbox, changes) {
+    const cache = this.flagCache.get(this.checkpointKey(email, mailbox.path));
+    let updated = 0;
+
+    for (const { uid, flags } of changes) {
+      const flagKey = this.flagKey(flags);
+      if (cache && cache.get(uid) === flagKey) {
+        continue;
+      }
 
-          if (results && results.length > 0) {
-            this.logger.info(`Found ${results.length} new emails for ${email}`);
-            
-            const fetch = imap.fetch(results, { bodies: '', struct: true });
-            let processedCount = 0;
-
-            fetch.on('message', (msg, seqno) => {
-              this.processEmailMessage(msg, email, seqno, () => {
-                processedCount++;
-                if (processedCount === results.length) {
-                  this.logger.info(`Processed ${processedCount} new emails for ${email}`);
-                }
-              });
-            });
+      const id = this.buildEmailId(email, mailbox.path, uid);
+      const found = await this.elasticsearchService.updateEmailFlags(id, flags);
+      cache?.set(uid, flagKey);
+
+      // Messages outside the backfill window are not indexed, so there is nothing to update
+      if (!found) {
+        continue;
+      }
+      updated++;
+
+      this.io.to('email-updates').emit('email-flags-updated', {
+        id: id,
+        flags: flags,
+        seen: flags.includes('\\Seen'),
+        flagged: flags.includes('\\Flagged'),
+        answered: flags.includes('\\Answered')
+      });
+    }
+
+    return updated;
+  }
+
+  flagKey(flags) {
+    return [...flags].sort().join(' ');
+  }
+
+  fetchAttributes(imap, source, options, bySequence = false) {
+    return new Promise((resolve, reject) => {
+      const fetch = (bySequence ? imap.seq : imap).fetch(source, options);
+      const results = [];
+
+      fetch.on('message', (msg) => {
+        msg.once('attributes', (attrs) => results.push(attrs));
+      });
+      fetch.once('error', reject);
+      fetch.once('end', () => resolve(results));
+    });
+  }
+
+  async fetchNewEmails(email, imap) {
+    // Coalesce bursts of `mail` events into one fetch at a time per account
+    if (this.newMailFetches.has(email)) {
+      this.newMailFetches.set(email, true);
+      return;
+    }
+    this.newMailFetches.set(email, false);
+
+    try {
+      const inbox = (this.mailboxes.get(email) || []).find(mailbox => mailbox.path === 'INBOX');
+      if (inbox) {
+        const processedCount = await this.withMailbox(email, imap, inbox.path, () =>
+          this.fetchSinceCheckpoint(email, imap, inbox)
+        );
+        this.setAccountStatus(email, { lastSyncAt: new Date() });
+        if (processedCount > 0) {
+          this.logger.info(`Processed ${processedCount} new emails for ${email}`);
+        }
+      }
+    } catch (error) {
+      this.logger.error(`Error fetching new emails for ${email}:`, error);
+    }
+
+    const rerun = this.newMailFetches.get(email);
+    this.newMailFetches.delete(email);
+    if (rerun && this.connections.has(email)) {
+      this.fetchNewEmails(email, imap);
+    }
+  }
+
+  setupFolderPolling(account, imap) {
+    const { email } = account;
+    const interval = parseInt(process.env.IMAP_FOLDER_POLL_INTERVAL) || 300000;
+
+    const pollFolders = async () => {
+      for (const mailbox of this.mailboxes.get(email) || []) {
+        if (!this.connections.has(email)) return;
+
+        try {
+          if (mailbox.path !== 'INBOX') {
+            const status = await this.withMailbox(email, imap, 'INBOX', () => new Promise((resolve, reject) => {
+              imap.status(mailbox.path, (err, box) => err ? reject(err) : resolve(box));
+            }));
+            const state = this.checkpoints.get(this.checkpointKey(email, mailbox.path));
+
+            if (!state || state.uidValidity !== status.uidvalidity || status.uidnext - 1 > state.lastUid) {
+              await this.syncMailbox(account, imap, mailbox);
+            }
           }
+
+          // Catch flag changes and expunges that were not pushed while the folder was not selected
+          await this.syncFlags(account, imap, mailbox);
+          await this.reconcileMailbox(email, imap, mailbox);
+        } catch (error) {
+          this.logger.error(`Error polling ${email}/${mailbox.path}:`, error);
+        }
+      }
+    };
+
+    this.folderPollers.set(email, setInterval(pollFolders, interval));
+  }
+
+  isAccountConnected(email) {
+    return this.connections.has(email);
+  }
+
+  // Looks a folder up by server path or normalized name, including folders that are not synced
+  findMailbox(email, folder) {
+    const name = folder.toLowerCase();
+    const mailboxes = this.serverMailboxes.get(email) || [];
+    return mailboxes.find(mailbox => mailbox.path.toLowerCase() === name) ||
+      mailboxes.find(mailbox => mailbox.folder.toLowerCase() === name) ||
+      null;
+  }
+
+  getWriteContext(emailDoc) {
+    const imap = this.connections.get(emailDoc.email);
+    if (!imap) {
+      throw new Error(`Account ${emailDoc.email} is not connected`);
+    }
+
+    const mailbox = this.findMailbox(emailDoc.email, emailDoc.mailbox || '');
+    if (!mailbox) {
+      throw new Error(`Folder ${emailDoc.mailbox} no longer exists on the server`);
+    }
+
+    return { imap, mailbox };
+  }
+
+  async setEmailFlags(emailDoc, { seen, flagged, answered }) {
+    const { imap, mailbox } = this.getWriteContext(emailDoc);
+    const changes = [['\\Seen', seen], ['\\Flagged', flagged], ['\\Answered', answered]].filter(([, enabled]) => enabled !== undefined);
+
+    const [attributes] = await this.withMailbox(emailDoc.email, imap, mailbox.path, async () => {
+      for (const [flag, enabled] of changes) {
+        await new Promise((resolve, reject) => {
+          const store = enabled ? imap.addFlags : imap.delFlags;
+          store.call(imap, emailDoc.uid, flag, (err) => err ? reject(err) : resolve());
         });
+      }
+      // Read the flags back so the index reflects what the server actually stored
+      return this.fetchAttributes(imap, emailDoc.uid, {});
+    }, { readOnly: false });
+
+    if (!attributes) {
+      throw new Error(`Message ${emailDoc.id} no longer exists on the server`);
+    }
+
+    await this.applyFlagChanges(emailDoc.email, mailbox, [attributes]);
+    return attributes.flags;
+  }
+
+  async moveEmail(emailDoc, destination) {
+    const { email } = emailDoc;
+    const { imap, mailbox } = this.getWriteContext(emailDoc);
+
+    if (destination.path === mailbox.path) {
+      return { id: emailDoc.id, folder: mailbox.folder };
+    }
+
+    await this.withMailbox(email, imap, mailbox.path, () => new Promise((resolve, reject) => {
+      try {
+        imap.move(emailDoc.uid, destination.path, (err) => err ? reject(err) : resolve());
+      } catch (error) {
+        reject(error);
+      }
+    }), { readOnly: false });
+
+    this.logger.info(`Moved ${emailDoc.id} from ${mailbox.path} to ${destination.path}`);
+
+    const synced = (this.mailboxes.get(email) || []).find(candidate => candidate.path === destination.path);
+    if (!synced) {
+      // The destination is not indexed (e.g. an excluded Trash), so the message simply leaves the index
+      await this.removeIndexedEmail(emailDoc);
+      return { id: null, folder: destination.folder };
+    }
+
+    // Index the destination copy first so the reconcile re-keys the document instead of dropping it
+    await this.syncMailbox(this.accountService.get(email), imap, synced);
+    await this.reconcileMailbox(email, imap, mailbox);
+
+    const copy = await this.elasticsearchService.findEmailCopy(emailDoc.canonicalId || emailDoc.id, [emailDoc.id], {
+      email: email,
+      mailbox: destination.path
+    });
+    return { id: copy ? copy.id : null, folder: destination.folder };
+  }
+
+  // Files a message sent over SMTP in the account's Sent folder (unless the provider already does)
+  // and indexes it there. Resolves to the indexed document's id, or null if it is not indexed yet.
+  async saveSentMessage(account, raw, { append = true } = {}) {
+    const { email } = account;
+    const imap = this.connections.get(email);
+    const sent = this.findMailbox(email, 'Sent');
+    if (!imap || !sent) {
+      throw new Error(`No Sent folder found for ${email}`);
+    }
+
+    let uid = null;
+    if (append) {
+      // APPEND does not depend on the selected mailbox, but still waits its turn on the connection
+      uid = await this.withMailbox(email, imap, 'INBOX', () => new Promise((resolve, reject) => {
+        imap.append(raw, { mailbox: sent.path, flags: ['\\Seen'], date: new Date() }, (err, appendedUid) =>
+          err ? reject(err) : resolve(appendedUid || null));
+      }));
+      this.logger.info(`Appended sent message to ${email}/${sent.path}${uid ? ` as UID ${uid}` : ''}`);
+    }
+
+    const parsed = await simpleParser(raw);
+
+    // With UIDPLUS the copy gets the id a later sync of the folder would give it
+    if (uid) {
+      const emailData = this.buildEmailData(parsed, email, sent, { uid: uid, flags: ['\\Seen'], size: raw.length });
+      await this.ingestion.ingest(emailData, parsed.attachments, { categorize: false, notify: false });
+      return emailData.id;
+    }
+
+    const synced = (this.mailboxes.get(email) || []).find(candidate => candidate.path === sent.path);
+    if (synced) {
+      await this.syncMailbox(account, imap, synced);
+    }
+    const indexed = parsed.messageId ? await this.elasticsearchService.findCanonicalEmail(parsed.messageId, []) : null;
+    return indexed ? indexed.id : null;
+  }
+
+  // Puts a draft in the account's Drafts folder so mail clients show it.
+  // Resolves to { mailbox, messageId, uid }; uid is null without UIDPLUS.
+  async saveDraftMessage(email, raw, messageId) {
+    const imap = this.connections.get(email);
+    const drafts = this.findMailbox(email, 'Drafts');
+    if (!imap || !drafts) {
+      throw new Error(imap ? `No Drafts folder found for ${email}` : `Account ${email} is not connected`);
+    }
+
+    const uid = await this.withMailbox(email, imap, 'INBOX', () => new Promise((resolve, reject) => {
+      imap.append(raw, { mailbox: drafts.path, flags: ['\\Draft', '\\Seen'], date: new Date() }, (err, appendedUid) =>
+        err ? reject(err) : resolve(appendedUid || null));
+    }));
+
+    this.logger.info(`Saved draft ${messageId} to ${email}/${drafts.path}${uid ? ` as UID ${uid}` : ''}`);
+    return { mailbox: drafts.path, messageId: messageId, uid: uid };
+  }
+
+  // Removes a draft saved by saveDraftMessage, found by its Message-ID since UIDs are not always known
+  async deleteDraftMessage(email, { mailbox, messageId }) {
+    const imap = this.connections.get(email);
+    if (!imap) {
+      throw new Error(`Account ${email} is not connected`);
+    }
+
+    const deleted = await this.withMailbox(email, imap, mailbox, async () => {
+      const uids = await this.search(imap, [['HEADER', 'MESSAGE-ID', messageId]]);
+      if (uids.length === 0) {
+        return 0;
+      }
+      await new Promise((resolve, reject) => {
+        imap.addFlags(uids, '\\Deleted', (err) => err ? reject(err) : resolve());
       });
-    };
+      await new Promise((resolve, reject) => {
+        const done = (err) => err ? reject(err) : resolve();
+        imap.serverSupports('UIDPLUS') ? imap.expunge(uids, done) : imap.expunge(done);
+      });
+      return uids.length;
+    }, { readOnly: false });
 
-    // Check for new emails every minute
-    setInterval(checkForNewEmails, 60000);
-    
-    this.logger.info(`IDLE mode setup completed for ${email}`);
+    this.logger.info(`Deleted draft ${messageId} from ${email}/${mailbox} (${deleted} messages)`);
+    return deleted;
+  }
+
+  async trashEmail(emailDoc) {
+    const trash = this.findMailbox(emailDoc.email, 'Trash');
+    const { imap, mailbox } = this.getWriteContext(emailDoc);
+
+    if (trash && trash.path !== mailbox.path) {
+      return { ...await this.moveEmail(emailDoc, trash), permanent: false };
+    }
+
+    // Already in Trash (or there is none): delete for good
+    await this.withMailbox(emailDoc.email, imap, mailbox.path, async () => {
+      await new Promise((resolve, reject) => {
+        imap.addFlags(emailDoc.uid, '\\Deleted', (err) => err ? reject(err) : resolve());
+      });
+      await new Promise((resolve, reject) => {
+        // Without UIDPLUS this also expunges anything else already marked \Deleted here
+        const done = (err) => err ? reject(err) : resolve();
+        imap.serverSupports('UIDPLUS') ? imap.expunge(emailDoc.uid, done) : imap.expunge(done);
+      });
+    }, { readOnly: false });
+
+    await this.removeIndexedEmail(emailDoc);
+    this.logger.info(`Permanently deleted ${emailDoc.id}`);
+    return { id: null, folder: null, permanent: true };
+  }
+
+  async removeIndexedEmail(emailDoc) {
+    await this.elasticsearchService.deleteEmails([emailDoc.id]);
+    await this.aiCategorizationService.deleteEmailContexts([emailDoc.id]);
+
+    // The same message in another account stays in the unified list
+    const copy = await this.elasticsearchService.findEmailCopy(emailDoc.canonicalId || emailDoc.id, [emailDoc.id]);
+    if (copy) {
+      this.io.to('email-updates').emit('email-moved', { id: emailDoc.id, newId: copy.id, folder: copy.folder });
+    } else {
+      this.io.to('email-updates').emit('email-deleted', { id: emailDoc.id });
+    }
   }
 
   async stop() {
     this.logger.info('Stopping IMAP sync service...');
-    this.isRunning = false;
+    this.running = false;
+
+    for (const email of this.reconnectTimers.keys()) {
+      this.cancelReconnect(email);
+    }
     
     for (const [email, connection] of this.connections) {
       try {
@@ -284,17 +1199,39 @@ class ImapSyncService {
     }
     
     this.connections.clear();
+    for (const email of this.folderPollers.keys()) {
+      this.clearAccountState(email);
+    }
+    this.ingestion.flush();
     this.logger.info('IMAP sync service stopped');
   }
 
   isRunning() {
-    return this.isRunning;
+    return this.running;
+  }
+
+  getHealth() {
+    const accounts = this.getConnectionStatus();
+    const enabled = Object.values(accounts).filter(account => account.state !== 'paused');
+
+    return {
+      running: this.running,
+      healthy: this.running && enabled.every(account => account.state === 'connected'),
+      accounts: accounts,
+      ingestion: this.ingestion.getMetrics()
+    };
   }
 
   getConnectionStatus() {
     const status = {};
-    for (const [email, connection] of this.connections) {
-      status[email] = connection.state;
+    for (const account of this.accountService.list()) {
+      status[account.email] = {
+        ...this.accountStatus.get(account.email),
+        state: this.accountStatus.get(account.email)?.state || (account.enabled ? 'disconnected' : 'paused'),
+        imapState: this.connections.get(account.email)?.state || null,
+        folders: (this.mailboxes.get(account.email) || []).map(mailbox => mailbox.folder),
+        backfill: this.backfill.getSummary(account.email)
+      };
     }
     return status;
   }
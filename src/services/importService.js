@@ -0,0 +1,290 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { v4: uuidv4 } = require('uuid');
+const { simpleParser } = require('mailparser');
+const winston = require('winston');
+const TaskQueue = require('../utils/taskQueue');
+
+// Finished jobs kept for the status endpoint
+const MAX_FINISHED_JOBS = 50;
+
+// Archived mail from .eml and .mbox files goes through the same ingestion pipeline as synced
+// mail, under a virtual account. Ids are derived from the raw message, so importing the same
+// file twice skips what is already indexed.
+class ImportService {
+  constructor(imapSyncService) {
+    this.imapSyncService = imapSyncService;
+    this.jobs = new Map();
+    this.runs = new Map();
+    // One import at a time; each one already keeps the ingestion pipeline busy
+    this.queue = new TaskQueue('import', 1);
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/import.log' }),
+        new winston.transports.Console()
+      ]
+    });
+  }
+
+  // `files` are { path, name, size, temporary }; temporary files (uploads) are deleted once imported
+  start(files, { categorize = false, folder = 'Imported' } = {}) {
+    const job = {
+      id: uuidv4(),
+      status: 'queued',
+      folder: folder,
+      categorize: categorize,
+      files: files.map(file => ({
+        name: file.name,
+        size: file.size,
+        type: null,
+        status: 'queued',
+        imported: 0,
+        skipped: 0,
+        failed: 0,
+        error: null
+      })),
+      bytesTotal: files.reduce((sum, file) => sum + file.size, 0),
+      bytesRead: 0,
+      imported: 0,
+      skipped: 0,
+      failed: 0,
+      createdAt: new Date(),
+      startedAt: null,
+      finishedAt: null,
+      lastEmitAt: 0
+    };
+    this.jobs.set(job.id, job);
+    this.pruneJobs();
+
+    const run = this.queue.push(() => this.runJob(job, files));
+    this.runs.set(job.id, run);
+    run.finally(() => this.runs.delete(job.id));
+
+    this.logger.info(`Queued import ${job.id}: ${files.map(file => file.name).join(', ')}`);
+    return this.toPublic(job);
+  }
+
+  // Resolves once the job has finished (or right away for an unknown or finished job)
+  async wait(jobId) {
+    await this.runs.get(jobId);
+    return this.getJob(jobId);
+  }
+
+  async runJob(job, files) {
+    job.status = 'running';
+    job.startedAt = new Date();
+    this.emitProgress(job, true);
+
+    for (const [i, file] of files.entries()) {
+      const entry = job.files[i];
+      const bytesBefore = job.bytesRead;
+      entry.status = 'running';
+
+      try {
+        entry.type = await this.detectType(file.path, file.name);
+        await this.importFile(job, entry, file);
+        entry.status = 'completed';
+      } catch (error) {
+        entry.status = 'failed';
+        entry.error = error.message;
+        this.logger.error(`Import of ${file.name} failed:`, error);
+      } finally {
+        if (file.temporary) {
+          await fs.promises.unlink(file.path).catch(() => {});
+        }
+      }
+
+      job.bytesRead = bytesBefore + file.size;
+      this.emitProgress(job, true);
+    }
+
+    job.status = job.files.every(entry => entry.status === 'failed') ? 'failed' : 'completed';
+    job.finishedAt = new Date();
+    this.emitProgress(job, true);
+    this.logger.info(`Import ${job.id} ${job.status}: ${job.imported} imported, ${job.skipped} already indexed, ${job.failed} failed`);
+  }
+
+  // Mbox files are often exported without an extension, so fall back to sniffing the first line
+  async detectType(filePath, name) {
+    const extension = path.extname(name || '').toLowerCase();
+    if (extension === '.eml') return 'eml';
+    if (extension === '.mbox' || extension === '.mbx') return 'mbox';
+
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(5), 0, 5, 0);
+      return buffer.subarray(0, bytesRead).toString('latin1') === 'From ' ? 'mbox' : 'eml';
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async importFile(job, entry, file) {
+    const ingestion = this.imapSyncService.ingestion;
+    const bytesBefore = job.bytesRead;
+    const messages = entry.type === 'mbox'
+      ? this.readMbox(file.path, bytesRead => { job.bytesRead = bytesBefore + bytesRead; })
+      : this.readEml(file.path);
+
+    // Only a batch of messages is parsed ahead of the pipeline, so large files stream through
+    const inFlight = new Set();
+    for await (const raw of messages) {
+      while (inFlight.size >= ingestion.fetchBatchSize) {
+        await Promise.race(inFlight);
+      }
+      await ingestion.waitForCapacity();
+
+      const task = this.importMessage(job, raw)
+        .then(result => {
+          entry[result]++;
+          job[result]++;
+        }, error => {
+          entry.failed++;
+          job.failed++;
+          this.logger.warn(`Could not import a message from ${file.name}: ${error.message}`);
+        })
+        .finally(() => {
+          inFlight.delete(task);
+          this.emitProgress(job);
+        });
+      inFlight.add(task);
+    }
+    await Promise.all(inFlight);
+  }
+
+  async *readEml(filePath) {
+    yield await fs.promises.readFile(filePath);
+  }
+
+  // Messages in an mbox start with a "From " line after a blank line; mboxrd files escape
+  // body lines starting with "From " as ">From ", which is undone here. Lines are read as
+  // latin1 so 8-bit bodies come back byte for byte.
+  async *readMbox(filePath, onProgress) {
+    const input = fs.createReadStream(filePath, { encoding: 'latin1' });
+    const lines = readline.createInterface({ input: input, crlfDelay: Infinity });
+    let message = null;
+    let previous = '';
+
+    for await (const line of lines) {
+      if (line.startsWith('From ') && (message === null || previous === '')) {
+        if (message && message.length > 0) {
+          yield this.toBuffer(message);
+        }
+        message = [];
+        onProgress(input.bytesRead);
+      } else if (message) {
+        message.push(/^>+From /.test(line) ? line.slice(1) : line);
+      }
+      previous = line;
+    }
+
+    if (message && message.length > 0) {
+      yield this.toBuffer(message);
+    }
+    onProgress(input.bytesRead);
+  }
+
+  toBuffer(lines) {
+    // The blank line before the next "From " belongs to the separator
+    if (lines[lines.length - 1] === '') lines.pop();
+    return Buffer.from(lines.join('\r\n'), 'latin1');
+  }
+
+  async importMessage(job, raw) {
+    const { elasticsearchService, ingestion } = this.imapSyncService;
+    const id = `${ImportService.ACCOUNT}_${crypto.createHash('sha256').update(raw).digest('hex').slice(0, 40)}`;
+
+    if (await elasticsearchService.emailExists(id)) {
+      return 'skipped';
+    }
+
+    const parsed = await simpleParser(raw);
+    const mailbox = { path: job.folder, folder: job.folder };
+    const emailData = this.imapSyncService.buildEmailData(parsed, ImportService.ACCOUNT, mailbox, {
+      uid: null,
+      flags: this.getFlags(parsed.headers),
+      size: raw.length
+    });
+    emailData.id = id;
+
+    await ingestion.ingest(emailData, parsed.attachments, {
+      categorize: job.categorize,
+      notify: false
+    });
+    return 'imported';
+  }
+
+  // mbox writers keep read, answered and flagged state in Status / X-Status headers;
+  // archived mail without them is treated as read
+  getFlags(headers) {
+    if (!headers.has('status') && !headers.has('x-status')) {
+      return ['\\Seen'];
+    }
+
+    const status = `${headers.get('status') || ''}${headers.get('x-status') || ''}`;
+    const flags = [];
+    if (status.includes('R')) flags.push('\\Seen');
+    if (status.includes('A')) flags.push('\\Answered');
+    if (status.includes('F')) flags.push('\\Flagged');
+    return flags;
+  }
+
+  getJob(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? this.toPublic(job) : null;
+  }
+
+  getJobs() {
+    return Array.from(this.jobs.values())
+      .reverse()
+      .map(job => this.toPublic(job));
+  }
+
+  pruneJobs() {
+    const finished = Array.from(this.jobs.values()).filter(job => job.finishedAt);
+    for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+      this.jobs.delete(job.id);
+    }
+  }
+
+  toPublic(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      account: ImportService.ACCOUNT,
+      folder: job.folder,
+      categorize: job.categorize,
+      files: job.files.map(entry => ({ ...entry })),
+      imported: job.imported,
+      skipped: job.skipped,
+      failed: job.failed,
+      bytesRead: job.bytesRead,
+      bytesTotal: job.bytesTotal,
+      percent: job.bytesTotal > 0 ? Math.min(100, Math.round((job.bytesRead / job.bytesTotal) * 100)) : 100,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+
+  // At most once a second while a file is being read
+  emitProgress(job, force = false) {
+    if (!force && Date.now() - job.lastEmitAt < 1000) {
+      return;
+    }
+    job.lastEmitAt = Date.now();
+    this.imapSyncService.io.to('email-updates').emit('import-progress', this.toPublic(job));
+  }
+}
+
+// Virtual account imported emails are indexed under
+ImportService.ACCOUNT = 'imported';
+
+module.exports = ImportService;
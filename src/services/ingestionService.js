@@ -0,0 +1,307 @@
+const winston = require('winston');
+const TaskQueue = require('../utils/taskQueue');
+const { withRetry, isTransientError } = require('../utils/retry');
+
+// Every fetched message goes through the same stages, each with its own concurrency limit:
+// prepare (attachment store and text extraction), index (Elasticsearch bulk requests),
+// categorize (OpenAI) and notify (Slack and webhook). IMAP fetching waits while too many
+// messages are still in the pipeline, so a large sync runs at the pace of the slowest stage.
+//
+// Copies of one message (the same Message-ID in several accounts or folders) are linked through
+// `canonicalId` to the first copy indexed. Only that copy is categorized and notified about; the
+// others take its category.
+class IngestionService {
+  constructor(imapSyncService) {
+    this.imapSyncService = imapSyncService;
+    this.stages = {
+      prepare: new TaskQueue('prepare', parseInt(process.env.INGEST_PREPARE_CONCURRENCY) || 4),
+      index: new TaskQueue('index', parseInt(process.env.INGEST_INDEX_CONCURRENCY) || 2),
+      categorize: new TaskQueue('categorize', parseInt(process.env.INGEST_CATEGORIZE_CONCURRENCY) || 2),
+      notify: new TaskQueue('notify', parseInt(process.env.INGEST_NOTIFY_CONCURRENCY) || 2)
+    };
+    this.bulkSize = parseInt(process.env.INGEST_BULK_SIZE) || 100;
+    this.bulkFlushInterval = parseInt(process.env.INGEST_BULK_FLUSH_INTERVAL) || 200;
+    this.maxPending = parseInt(process.env.INGEST_MAX_PENDING) || 200;
+    this.fetchBatchSize = parseInt(process.env.INGEST_FETCH_BATCH_SIZE) || 50;
+    this.groups = new Map();
+    this.bulkBuffer = [];
+    this.bulkTimer = null;
+    this.pending = 0;
+    this.capacityWaiters = [];
+    this.idleWaiters = [];
+    this.retries = 0;
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/ingestion.log' }),
+        new winston.transports.Console()
+      ]
+    });
+  }
+
+  // Resolves once the email is stored in the index; categorization and notifications carry on afterwards
+  // `notify: false` skips Slack, webhooks and the new-email event, e.g. for imported archives and backfills
+  async ingest(emailData, attachments, { categorize = true, notify = true } = {}) {
+    this.pending++;
+    const { group, owner } = this.joinGroup(emailData);
+    const done = () => {
+      if (owner) this.groups.delete(emailData.messageId);
+      this.release();
+    };
+
+    let linked;
+    try {
+      linked = await this.stages.prepare.push(() => this.prepare(emailData, attachments, group));
+      await this.index(emailData);
+    } catch (error) {
+      // Copies waiting on this one are left uncategorized rather than waiting forever
+      group.then(result => {
+        if (result.canonicalId === emailData.id && result.resolveCategory) result.resolveCategory(null);
+      }, () => {});
+      done();
+      throw error;
+    }
+
+    this.process(emailData, linked, categorize, notify)
+      .catch(error => this.logger.error(`Error processing email ${emailData.id}:`, error))
+      .finally(done);
+
+    return emailData;
+  }
+
+  // Copies arriving together (e.g. CC'd to two accounts) share the first one's lookup, as none
+  // of them is searchable yet. The entry is dropped once that copy is fully processed.
+  joinGroup(emailData) {
+    const { messageId } = emailData;
+    if (messageId && this.groups.has(messageId)) {
+      return { group: this.groups.get(messageId), owner: false };
+    }
+
+    const group = this.findGroup(emailData);
+    if (messageId) {
+      this.groups.set(messageId, group);
+    }
+    return { group, owner: !!messageId };
+  }
+
+  async findGroup(emailData) {
+    const found = emailData.messageId
+      ? await this.retry(() => this.imapSyncService.elasticsearchService.findCanonicalEmail(emailData.messageId, [emailData.id]))
+      : null;
+
+    if (found && (found.canonicalId || found.id) !== emailData.id) {
+      return {
+        canonicalId: found.canonicalId || found.id,
+        category: Promise.resolve(found.category || null)
+      };
+    }
+
+    // New message: this copy is the canonical one, and its category is known once it is categorized.
+    // A canonical copy fetched again (resync, UIDVALIDITY reset) stays canonical and keeps the
+    // category its copies already carry.
+    let resolveCategory;
+    const category = new Promise(resolve => { resolveCategory = resolve; });
+    return {
+      canonicalId: emailData.id,
+      category: category,
+      resolveCategory: resolveCategory,
+      previousCategory: found ? found.category || null : null
+    };
+  }
+
+  async prepare(emailData, attachments, group) {
+    const { attachmentStore } = this.imapSyncService;
+
+    // Bodies go to the attachment store; only their metadata is indexed
+    emailData.attachments = await attachmentStore.saveAttachments(attachments);
+
+    const linked = await group;
+    emailData.canonicalId = linked.canonicalId;
+
+    // Indexing again must not drop the category of a canonical copy fetched again
+    if (linked.previousCategory) {
+      emailData.category = linked.previousCategory;
+    }
+
+    // A message moved or copied from another folder keeps the category it already has
+    if (linked.canonicalId !== emailData.id) {
+      // Only if already known; otherwise it is filled in once the canonical copy is categorized
+      const category = await Promise.race([linked.category, null]);
+      if (category) {
+        emailData.category = category;
+      }
+    }
+    return linked;
+  }
+
+  index(emailData) {
+    return new Promise((resolve, reject) => {
+      this.bulkBuffer.push({ emailData, resolve, reject });
+
+      if (this.bulkBuffer.length >= this.bulkSize) {
+        this.flush();
+      } else if (!this.bulkTimer) {
+        this.bulkTimer = setTimeout(() => this.flush(), this.bulkFlushInterval);
+      }
+    });
+  }
+
+  flush() {
+    clearTimeout(this.bulkTimer);
+    this.bulkTimer = null;
+
+    while (this.bulkBuffer.length > 0) {
+      const batch = this.bulkBuffer.splice(0, this.bulkSize);
+      this.stages.index.push(() => this.writeBulk(batch)).catch(() => {});
+    }
+  }
+
+  // Items the cluster rejected with 429 or 5xx are sent again; others fail on their own
+  async writeBulk(batch) {
+    let remaining = batch;
+    try {
+      await this.retry(async () => {
+        const errors = await this.imapSyncService.elasticsearchService.bulkIndexEmails(remaining.map(item => item.emailData));
+        const failed = [];
+
+        errors.forEach((error, i) => {
+          if (!error) {
+            remaining[i].resolve();
+          } else if (isTransientError(error)) {
+            failed.push({ ...remaining[i], error });
+          } else {
+            remaining[i].reject(error);
+          }
+        });
+
+        remaining = failed;
+        if (failed.length > 0) {
+          throw failed[0].error;
+        }
+      });
+    } catch (error) {
+      remaining.forEach(item => item.reject(error));
+      throw error;
+    }
+  }
+
+  async process(emailData, linked, categorize, notify) {
+    const { elasticsearchService, aiCategorizationService, slackService, webhookService, io } = this.imapSyncService;
+
+    if (linked.canonicalId !== emailData.id) {
+      // The canonical copy may still be waiting for its category
+      const category = await linked.category;
+      if (category && category !== emailData.category) {
+        emailData.category = category;
+        await this.retry(() => elasticsearchService.updateEmailCategory(emailData.id, category));
+      }
+      this.logger.info(`Processed email: ${emailData.subject} (${category}, copy of ${linked.canonicalId})`);
+      return;
+    }
+
+    // Auto-replies and bounces arrive already categorized, as does a canonical copy fetched again
+    let category = emailData.autoResponse ? emailData.category : linked.previousCategory || null;
+    try {
+      if (categorize && !category) {
+        category = await this.stages.categorize.push(async () => {
+          const result = await aiCategorizationService.categorizeEmail(emailData);
+          // No refresh per email: the copies of a new message wait for its category anyway
+          await this.retry(() => elasticsearchService.updateMessageCategory(emailData.canonicalId, result, { refresh: false }));
+          return result;
+        });
+        emailData.category = category;
+      }
+    } finally {
+      if (linked.resolveCategory) {
+        linked.resolveCategory(category);
+      }
+    }
+
+    // Listeners handle their own errors, so an emit never fails the message. Those reacting to new
+    // mail check `notify`, so an imported archive does not look like fresh replies.
+    this.imapSyncService.emit('email-processed', emailData, { notify: notify });
+
+    if (!notify) {
+      this.logger.info(`Processed email: ${emailData.subject} (${category})`);
+      return;
+    }
+
+    // Send notifications for interested emails
+    if (category === 'Interested') {
+      await this.stages.notify.push(async () => {
+        await slackService.sendNotification(emailData);
+        await webhookService.triggerWebhook(emailData);
+      });
+    }
+
+    // Emit real-time update
+    io.to('email-updates').emit('new-email', {
+      id: emailData.id,
+      from: emailData.from,
+      subject: emailData.subject,
+      folder: emailData.folder,
+      category: category,
+      date: emailData.date
+    });
+
+    this.logger.info(`Processed email: ${emailData.subject} (${category})`);
+  }
+
+  retry(fn) {
+    return withRetry(fn, {
+      onRetry: (error, attempt, delay) => {
+        this.retries++;
+        this.logger.warn(`Retrying after transient error (attempt ${attempt}, ${delay}ms): ${error.message}`);
+      }
+    });
+  }
+
+  // Resolves once there is room in the pipeline for another batch of messages
+  waitForCapacity() {
+    if (this.pending < this.maxPending) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.capacityWaiters.push(resolve));
+  }
+
+  // Resolves once every message handed to the pipeline has been fully processed
+  drain() {
+    this.flush();
+    if (this.pending === 0) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  release() {
+    this.pending--;
+    while (this.pending < this.maxPending && this.capacityWaiters.length > 0) {
+      this.capacityWaiters.shift()();
+    }
+    if (this.pending === 0) {
+      this.idleWaiters.splice(0).forEach(resolve => resolve());
+    }
+  }
+
+  getMetrics() {
+    const stages = {};
+    for (const [name, queue] of Object.entries(this.stages)) {
+      stages[name] = queue.getMetrics();
+    }
+
+    return {
+      pending: this.pending,
+      maxPending: this.maxPending,
+      waitingFetches: this.capacityWaiters.length,
+      bulkBuffered: this.bulkBuffer.length,
+      retries: this.retries,
+      stages: stages
+    };
+  }
+}
+
+module.exports = IngestionService;
@@ -0,0 +1,118 @@
+const axios = require('axios');
+const winston = require('winston');
+
+// Token endpoints for the providers we know; `tokenUrl` on the account overrides these
+const PROVIDERS = {
+  google: {
+    tokenUrl: () => 'https://oauth2.googleapis.com/token'
+  },
+  microsoft: {
+    tokenUrl: (auth) => `https://login.microsoftonline.com/${auth.tenant || 'common'}/oauth2/v2.0/token`,
+    scope: 'https://outlook.office.com/IMAP.AccessAsUser.All https://outlook.office.com/SMTP.Send offline_access'
+  }
+};
+
+// Refresh a little before the server-side expiry so a token never dies mid-login
+const EXPIRY_MARGIN_MS = 60000;
+
+// Default token provider for XOAUTH2 accounts. Anything with getAccessToken(account)
+// and invalidate(email) can be handed to ImapSyncService in its place.
+class OAuth2TokenService {
+  constructor(accountService) {
+    this.accountService = accountService;
+    this.tokens = new Map();
+    this.refreshes = new Map();
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/oauth2.log' }),
+        new winston.transports.Console()
+      ]
+    });
+  }
+
+  async getAccessToken(account) {
+    const cached = this.tokens.get(account.email);
+    if (cached && cached.expiresAt - EXPIRY_MARGIN_MS > Date.now()) {
+      return cached.accessToken;
+    }
+
+    // Concurrent callers (IMAP reconnect and SMTP send) share one refresh request
+    if (!this.refreshes.has(account.email)) {
+      this.refreshes.set(account.email, this.refreshAccessToken(account).finally(() => {
+        this.refreshes.delete(account.email);
+      }));
+    }
+    return this.refreshes.get(account.email);
+  }
+
+  async refreshAccessToken(account) {
+    const { auth } = account;
+    const provider = PROVIDERS[auth.provider] || {};
+    const tokenUrl = auth.tokenUrl || provider.tokenUrl?.(auth);
+
+    if (!tokenUrl) {
+      throw new Error(`No OAuth2 token endpoint configured for ${account.email}`);
+    }
+
+    const params = new URLSearchParams({
+      grant_type: 'refresh_token',
+      refresh_token: auth.refreshToken,
+      client_id: auth.clientId
+    });
+    if (auth.clientSecret) params.append('client_secret', auth.clientSecret);
+    if (auth.scope || provider.scope) params.append('scope', auth.scope || provider.scope);
+
+    try {
+      const response = await axios.post(tokenUrl, params.toString(), {
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        timeout: 10000
+      });
+
+      const { access_token: accessToken, expires_in: expiresIn, refresh_token: refreshToken } = response.data;
+      if (!accessToken) {
+        throw new Error('Token endpoint did not return an access_token');
+      }
+
+      this.tokens.set(account.email, {
+        accessToken: accessToken,
+        expiresAt: Date.now() + (parseInt(expiresIn) || 3600) * 1000
+      });
+
+      // Providers may rotate the refresh token; the old one stops working once used
+      if (refreshToken && refreshToken !== auth.refreshToken) {
+        auth.refreshToken = refreshToken;
+        // Accounts still being tested through the API are saved with the new token by the caller
+        if (this.accountService.get(account.email)) {
+          await this.accountService.update(account.email, { auth: { ...auth } });
+        }
+        this.logger.info(`Stored rotated refresh token for ${account.email}`);
+      }
+
+      this.logger.info(`Refreshed OAuth2 access token for ${account.email}`);
+      return accessToken;
+
+    } catch (error) {
+      const reason = error.response?.data?.error_description || error.response?.data?.error || error.message;
+      this.logger.error(`Failed to refresh OAuth2 token for ${account.email}: ${reason}`);
+      throw new Error(`OAuth2 token refresh failed: ${reason}`);
+    }
+  }
+
+  invalidate(email) {
+    this.tokens.delete(email);
+  }
+
+  // SASL XOAUTH2 initial client response, as expected by node-imap's `xoauth2` option
+  buildXOAuth2Token(user, accessToken) {
+    return Buffer.from(`user=${user}\x01auth=Bearer ${accessToken}\x01\x01`).toString('base64');
+  }
+}
+
+module.exports = OAuth2TokenService;
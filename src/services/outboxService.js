@@ -0,0 +1,256 @@
+const cron = require('node-cron');
+const moment = require('moment-timezone');
+const { v4: uuidv4 } = require('uuid');
+const winston = require('winston');
+
+// Statuses an item can still be cancelled or rescheduled from
+const PENDING_STATUSES = ['scheduled', 'failed'];
+
+// Outgoing mail held until its send time. Items are kept in Elasticsearch so the queue survives
+// restarts; a cron job sends whatever is due through SendService, like a reply sent right away.
+class OutboxService {
+  constructor(elasticsearchService, sendService, attachmentStore) {
+    this.elasticsearchService = elasticsearchService;
+    this.sendService = sendService;
+    this.attachmentStore = attachmentStore;
+    this.cronExpression = process.env.OUTBOX_CRON || '* * * * *';
+    this.batchSize = parseInt(process.env.OUTBOX_BATCH_SIZE) || 20;
+    this.maxAttempts = parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 3;
+    this.retryDelay = parseInt(process.env.OUTBOX_RETRY_DELAY) || 5 * 60 * 1000;
+    this.task = null;
+    this.processing = null;
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/outbox.log' }),
+        new winston.transports.Console()
+      ]
+    });
+  }
+
+  async start() {
+    // A send cut off by a restart may already have gone out, so it is never retried on its own
+    const interrupted = await this.elasticsearchService.getOutboxItemsByStatus('sending');
+    for (const item of interrupted) {
+      await this.elasticsearchService.transitionOutboxItem(item.id, ['sending'], {
+        status: 'failed',
+        lastError: 'Interrupted while sending; check Sent before rescheduling'
+      });
+      this.logger.warn(`Outbox item ${item.id} was interrupted while sending, marked as failed`);
+    }
+
+    this.task = cron.schedule(this.cronExpression, () => this.processDue());
+    this.logger.info(`Outbox worker started (${this.cronExpression})`);
+
+    // Anything that came due while the server was down goes out now
+    this.processDue();
+  }
+
+  async stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+    await this.processing;
+  }
+
+  isValidTimeZone(timeZone) {
+    return !!moment.tz.zone(timeZone);
+  }
+
+  // ISO 8601 send time -> Date, or null if invalid. A time without an offset is wall-clock time
+  // in `timeZone` (e.g. 09:00 in the recipient's America/New_York), or UTC when none is given.
+  resolveSendAt(sendAt, timeZone) {
+    const time = timeZone
+      ? moment.tz(sendAt, moment.ISO_8601, true, timeZone)
+      : moment.utc(sendAt, moment.ISO_8601, true);
+    return time.isValid() ? time.toDate() : null;
+  }
+
+  // `type` is compose, reply or forward; `uploads` are multer files, kept in the attachment store until sent.
+  // Follow-ups record the sequence and step they belong to.
+  async schedule(type, { emailId = null, account, sendAt, timeZone = null, ...message }, uploads = [], { sequenceId = null, step = null } = {}) {
+    this.sendService.getAccount(account);
+
+    const attachments = [];
+    for (const file of uploads) {
+      const { hash, size } = await this.attachmentStore.save(file.buffer);
+      attachments.push({
+        filename: file.originalname,
+        contentType: file.mimetype,
+        size: size,
+        hash: hash
+      });
+    }
+
+    const item = {
+      id: uuidv4(),
+      type: type,
+      status: 'scheduled',
+      account: account,
+      emailId: emailId,
+      sendAt: sendAt,
+      timeZone: timeZone,
+      nextAttemptAt: sendAt,
+      attempts: 0,
+      lastError: null,
+      message: message,
+      attachments: attachments,
+      result: null,
+      sequenceId: sequenceId,
+      step: step,
+      createdAt: new Date(),
+      sentAt: null
+    };
+    await this.elasticsearchService.saveOutboxItem(item);
+
+    this.logger.info(`Scheduled ${type} ${item.id} from ${account} for ${moment(sendAt).toISOString()}`);
+    return item;
+  }
+
+  async get(id) {
+    return this.elasticsearchService.getOutboxItem(id);
+  }
+
+  async list(filters) {
+    return this.elasticsearchService.searchOutboxItems(filters);
+  }
+
+  async listBySequence(sequenceIds) {
+    return this.elasticsearchService.getOutboxItemsBySequence(sequenceIds);
+  }
+
+  // Resolve to the updated item, or null if it was already sent, sending or cancelled
+  async cancel(id) {
+    const applied = await this.elasticsearchService.transitionOutboxItem(id, PENDING_STATUSES, {
+      status: 'cancelled'
+    });
+    if (applied) {
+      this.logger.info(`Cancelled outbox item ${id}`);
+    }
+    return applied ? this.get(id) : null;
+  }
+
+  // Also how a failed item is retried
+  async reschedule(id, sendAt, timeZone = null) {
+    const applied = await this.elasticsearchService.transitionOutboxItem(id, PENDING_STATUSES, {
+      status: 'scheduled',
+      sendAt: sendAt,
+      timeZone: timeZone,
+      nextAttemptAt: sendAt,
+      attempts: 0,
+      lastError: null
+    });
+    if (applied) {
+      this.logger.info(`Rescheduled outbox item ${id} for ${moment(sendAt).toISOString()}`);
+    }
+    return applied ? this.get(id) : null;
+  }
+
+  // Cron ticks that arrive while a run is still sending wait for that run instead of overlapping it
+  processDue() {
+    if (!this.processing) {
+      this.processing = this.runDue().finally(() => {
+        this.processing = null;
+      });
+    }
+    return this.processing;
+  }
+
+  async runDue() {
+    try {
+      for (;;) {
+        const items = await this.elasticsearchService.getDueOutboxItems(new Date(), this.batchSize);
+        for (const item of items) {
+          await this.sendItem(item);
+        }
+        if (items.length < this.batchSize || !this.task) {
+          break;
+        }
+      }
+    } catch (error) {
+      this.logger.error('Error processing outbox:', error);
+    }
+  }
+
+  async sendItem(item) {
+    // Claiming it first means a cancel that lands now either wins or gets a 409, never a sent email
+    const attempts = item.attempts + 1;
+    const claimed = await this.elasticsearchService.transitionOutboxItem(item.id, ['scheduled'], {
+      status: 'sending',
+      attempts: attempts
+    });
+    if (!claimed) {
+      return;
+    }
+
+    try {
+      const result = await this.deliver(item);
+      await this.elasticsearchService.transitionOutboxItem(item.id, ['sending'], {
+        status: 'sent',
+        sentAt: new Date(),
+        lastError: null,
+        result: result
+      });
+      this.logger.info(`Sent outbox item ${item.id} as ${result.messageId}`);
+
+    } catch (error) {
+      const retry = this.isRetryable(error) && attempts < this.maxAttempts;
+      await this.elasticsearchService.transitionOutboxItem(item.id, ['sending'], retry ? {
+        status: 'scheduled',
+        nextAttemptAt: new Date(Date.now() + this.retryDelay * 2 ** (attempts - 1)),
+        lastError: error.message
+      } : {
+        status: 'failed',
+        lastError: error.message
+      });
+      this.logger.error(`Error sending outbox item ${item.id} (attempt ${attempts}${retry ? ', will retry' : ''}):`, error);
+    }
+  }
+
+  async deliver(item) {
+    const uploads = item.attachments.map(attachment => {
+      if (!this.attachmentStore.exists(attachment.hash)) {
+        throw this.createError(`Attachment ${attachment.filename} is no longer stored`);
+      }
+      return {
+        originalname: attachment.filename,
+        mimetype: attachment.contentType,
+        path: this.attachmentStore.getPath(attachment.hash)
+      };
+    });
+
+    if (item.type === 'compose') {
+      return this.sendService.compose({ ...item.message, account: item.account }, uploads);
+    }
+
+    const email = await this.elasticsearchService.getEmailById(item.emailId);
+    if (!email) {
+      throw this.createError(`Email ${item.emailId} no longer exists`);
+    }
+
+    return item.type === 'reply'
+      ? this.sendService.reply(email, item.message)
+      : this.sendService.forward(email, { ...item.message, account: item.account }, uploads);
+  }
+
+  // Connection problems and temporary (4xx) SMTP replies are retried; permanent rejections are not
+  isRetryable(error) {
+    if (error.statusCode === 422) {
+      return false;
+    }
+    return !(error.responseCode >= 500 && error.responseCode < 600);
+  }
+
+  createError(message) {
+    const error = new Error(message);
+    error.statusCode = 422;
+    return error;
+  }
+}
+
+module.exports = OutboxService;
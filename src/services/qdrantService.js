@@ -162,6 +162,25 @@ class QdrantService {
     }
   }
 
+  async deleteByFilter(filter) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('Qdrant service not initialized');
+      }
+
+      await axios.post(`${this.baseUrl}/collections/${this.collectionName}/points/delete`, {
+        filter: filter
+      });
+
+      this.logger.debug('Deleted vectors by filter');
+      return true;
+
+    } catch (error) {
+      this.logger.error('Error deleting vectors by filter:', error);
+      throw error;
+    }
+  }
+
   async deleteCollection() {
     try {
       await axios.delete(`${this.baseUrl}/collections/${this.collectionName}`);
@@ -0,0 +1,138 @@
+const winston = require('winston');
+const { convert: htmlToText } = require('html-to-text');
+
+// Lines that introduce the quoted original, in the formats of common mail clients and languages
+const QUOTE_HEADERS = [
+  /^-{2,}\s*(original message|forwarded message|ursprüngliche nachricht|message d'origine|mensaje original)\s*-{2,}\s*$/i,
+  /^(begin forwarded message|forwarded message):?\s*$/i
+];
+
+// "On <date>, <name> wrote:" and its translations; Gmail wraps it over two or three lines
+const ATTRIBUTION_START = /^(on|le|am|el|op|il|em)\s/i;
+const ATTRIBUTION_END = /(wrote|a écrit|schrieb|escribió|geschreven|ha scritto|escreveu)\s*:\s*$/i;
+
+// Outlook quotes the original under a From / Sent / To / Subject block
+const OUTLOOK_FROM = /^\*?(from|von|de):\*?\s/i;
+const OUTLOOK_FIELD = /^\*?(sent|date|to|subject|gesendet|an|betreff|envoyé|à|objet):\*?\s/i;
+
+const MOBILE_FOOTER = /^(sent from my |sent from mail for |sent from yahoo mail|sent from outlook|get outlook for )/i;
+const SIGN_OFF = /^(best|best regards|best wishes|kind regards|warm regards|regards|many thanks|thanks|thank you|thanks again|cheers|sincerely|yours( truly| sincerely)?|br|thx|talk soon)[,.!]?\s*$/i;
+
+// Lines after a sign-off that still look like a name / title / phone block
+const MAX_SIGNATURE_LINES = 8;
+const MAX_SIGNATURE_LINE_LENGTH = 80;
+
+// Splits an email body into the text the sender just wrote, the history quoted below (or
+// interleaved with) it, and their signature, so categorization and search only see the new part.
+class ReplyExtractionService {
+  constructor() {
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/reply-extraction.log' }),
+        new winston.transports.Console()
+      ]
+    });
+  }
+
+  // -> { reply, quoted, signature }. `reply` is left undefined for a bare forward, which has no text
+  // of its own: an empty field would still exist in the index and hide the full text from search.
+  extract(text, html) {
+    try {
+      const body = text || (html ? htmlToText(html, { wordwrap: false }) : '');
+      const lines = body.replace(/\r\n?/g, '\n').split('\n');
+
+      const cutoff = this.findQuoteHeader(lines);
+      const own = [];
+      const quoted = [];
+
+      // Above the quote header, ">" lines are quoted inline and the rest is the reply
+      lines.slice(0, cutoff).forEach(line => (/^\s*>/.test(line) ? quoted : own).push(line));
+      quoted.push(...lines.slice(cutoff));
+
+      const signatureStart = this.findSignature(own);
+      return {
+        reply: this.join(own.slice(0, signatureStart)) || undefined,
+        quoted: this.join(quoted),
+        signature: this.join(own.slice(signatureStart).filter(line => !/^--\s?$/.test(line)))
+      };
+
+    } catch (error) {
+      this.logger.error('Error extracting reply text:', error);
+      return { reply: text || '', quoted: '', signature: '' };
+    }
+  }
+
+  // Index of the first line of the quoted original, or lines.length
+  findQuoteHeader(lines) {
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+
+      if (QUOTE_HEADERS.some(pattern => pattern.test(line))) {
+        return i;
+      }
+
+      if (ATTRIBUTION_START.test(line)) {
+        const attribution = lines.slice(i, i + 3).map(part => part.trim()).join(' ');
+        for (let end = 0; end < 3 && i + end < lines.length; end++) {
+          if (ATTRIBUTION_END.test(lines[i + end].trim()) && attribution.length < 300) {
+            return i;
+          }
+        }
+      } else if (ATTRIBUTION_END.test(line) && /@|\d/.test(line) && line.length < 200) {
+        return i;
+      }
+
+      // "________________" (Outlook) or a bare From: line, followed by the original's headers
+      const from = /^_{10,}$/.test(line) ? i + 1 : i;
+      if (OUTLOOK_FROM.test((lines[from] || '').trim())) {
+        const fields = lines.slice(from + 1, from + 5).filter(next => OUTLOOK_FIELD.test(next.trim()));
+        if (fields.length >= 2) {
+          return i;
+        }
+      }
+    }
+    return lines.length;
+  }
+
+  // Index of the first signature line in the sender's own lines, or lines.length
+  findSignature(lines) {
+    const end = this.lastContentLine(lines);
+
+    // RFC 3676 "-- " delimiter, or the "--" most clients actually send
+    for (let i = end; i > 0; i--) {
+      if (/^--\s?$/.test(lines[i])) return i;
+    }
+
+    for (let i = 1; i <= end; i++) {
+      if (MOBILE_FOOTER.test(lines[i].trim())) return i;
+    }
+
+    // A sign-off followed by a short name / title block; never the whole message
+    for (let i = end; i > 0 && end - i <= MAX_SIGNATURE_LINES; i--) {
+      if (lines[i].length > MAX_SIGNATURE_LINE_LENGTH) break;
+      if (SIGN_OFF.test(lines[i].trim()) && this.lastContentLine(lines.slice(0, i)) >= 0) {
+        return i;
+      }
+    }
+
+    return lines.length;
+  }
+
+  lastContentLine(lines) {
+    for (let i = lines.length - 1; i >= 0; i--) {
+      if (lines[i].trim()) return i;
+    }
+    return -1;
+  }
+
+  join(lines) {
+    return lines.join('\n').trim();
+  }
+}
+
+module.exports = ReplyExtractionService;
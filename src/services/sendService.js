@@ -0,0 +1,251 @@
+const addressparser = require('nodemailer/lib/addressparser');
+const moment = require('moment');
+const winston = require('winston');
+
+// Composes outgoing mail for an account, sends it over SMTP, then files and indexes the sent copy
+class SendService {
+  constructor(accountService, smtpService, imapSyncService, attachmentStore) {
+    this.accountService = accountService;
+    this.smtpService = smtpService;
+    this.imapSyncService = imapSyncService;
+    this.attachmentStore = attachmentStore;
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/send.log' }),
+        new winston.transports.Console()
+      ]
+    });
+  }
+
+  // A new conversation; `uploads` are multer files ({ originalname, mimetype, buffer })
+  async compose({ account: sender, to, cc = [], bcc = [], subject = '', text = '', html }, uploads = []) {
+    const account = this.getAccount(sender);
+
+    return this.deliver(account, {
+      from: account.email,
+      to: to,
+      cc: cc,
+      bcc: bcc,
+      subject: subject,
+      date: new Date(),
+      text: text,
+      html: html,
+      attachments: this.toAttachments(uploads)
+    });
+  }
+
+  // Forwards `emailDoc` with its stored attachments, from its own account unless another is given
+  async forward(emailDoc, { account: sender, to, cc = [], bcc = [], text = '', html, includeAttachments = true }, uploads = []) {
+    const account = this.getAccount(sender || emailDoc.email);
+    const original = includeAttachments ? this.getStoredAttachments(emailDoc) : [];
+
+    // Keep the original's formatting when it has any
+    const body = html || (emailDoc.html ? `<div>${this.escapeHtml(text).replace(/\n/g, '<br>')}</div>` : undefined);
+
+    return this.deliver(account, {
+      from: account.email,
+      to: to,
+      cc: cc,
+      bcc: bcc,
+      subject: /^(fwd?|fw):/i.test(emailDoc.subject || '') ? emailDoc.subject : `Fwd: ${emailDoc.subject || ''}`,
+      date: new Date(),
+      text: `${text}\n\n${this.forwardText(emailDoc)}`,
+      html: body && `${body}${this.forwardHtml(emailDoc)}`,
+      attachments: [...original, ...this.toAttachments(uploads)]
+    });
+  }
+
+  // Replies from the account that received `emailDoc`, threaded under it
+  async reply(emailDoc, options) {
+    const account = this.getAccount(emailDoc.email);
+    const result = await this.deliver(account, this.buildReply(emailDoc, account, options));
+
+    // Mark the original as answered, as mail clients do; a follow-up to our own sent mail answers nothing
+    if (this.isFromAccount(emailDoc, account.email)) {
+      return result;
+    }
+    try {
+      await this.imapSyncService.setEmailFlags(emailDoc, { answered: true });
+    } catch (error) {
+      this.logger.warn(`Could not mark ${emailDoc.id} as answered: ${error.message}`);
+    }
+
+    return result;
+  }
+
+  // The reply message without sending it; drafts are built the same way.
+  // `messageId` is for callers that need to know it before the reply goes out.
+  buildReply(emailDoc, account, { text, html, replyAll = false, cc = [], bcc = [], quote = true, messageId }) {
+    const recipients = this.getReplyRecipients(emailDoc, account.email, replyAll);
+    if (recipients.to.length === 0) {
+      const error = new Error(`Email ${emailDoc.id} has no address to reply to`);
+      error.statusCode = 422;
+      throw error;
+    }
+
+    return {
+      from: account.email,
+      to: recipients.to,
+      cc: [...recipients.cc, ...cc],
+      bcc: bcc,
+      subject: /^re:/i.test(emailDoc.subject || '') ? emailDoc.subject : `Re: ${emailDoc.subject || ''}`,
+      messageId: messageId || undefined,
+      inReplyTo: emailDoc.messageId || undefined,
+      references: this.getReferences(emailDoc),
+      date: new Date(),
+      text: quote ? `${text}\n\n${this.quoteText(emailDoc)}` : text,
+      html: html && quote ? `${html}${this.quoteHtml(emailDoc)}` : html
+    };
+  }
+
+  // Sends, then saves to Sent. A failure to save is reported but does not fail an email already sent.
+  async deliver(account, mail) {
+    const sent = await this.smtpService.send(account, mail);
+    const { appendToSent } = this.smtpService.getSettings(account);
+
+    let id = null;
+    let saveError = null;
+    try {
+      id = await this.imapSyncService.saveSentMessage(account, sent.raw, { append: appendToSent });
+    } catch (error) {
+      saveError = error.message;
+      this.logger.error(`Sent ${sent.messageId} but could not save it to Sent for ${account.email}:`, error);
+    }
+
+    return {
+      id: id,
+      messageId: sent.messageId,
+      from: account.email,
+      to: sent.envelope.to,
+      subject: mail.subject,
+      savedToSent: !saveError,
+      saveError: saveError
+    };
+  }
+
+  getAccount(email) {
+    const account = this.accountService.get(email);
+    if (!account) {
+      const error = new Error(`No account configured for ${email}`);
+      error.statusCode = 422;
+      throw error;
+    }
+    return account;
+  }
+
+  // Files in memory, or (for scheduled mail) on disk under `path`
+  toAttachments(uploads) {
+    return uploads.map(file => ({
+      filename: file.originalname,
+      contentType: file.mimetype,
+      ...(file.buffer ? { content: file.buffer } : { path: file.path })
+    }));
+  }
+
+  // Attachment bodies are read from the store as the message is built
+  getStoredAttachments(emailDoc) {
+    return (emailDoc.attachments || []).filter(attachment => {
+      if (attachment.hash && this.attachmentStore.exists(attachment.hash)) {
+        return true;
+      }
+      this.logger.warn(`Attachment ${attachment.filename} of ${emailDoc.id} is missing from the store, not forwarding it`);
+      return false;
+    }).map(attachment => ({
+      filename: attachment.filename || undefined,
+      contentType: attachment.contentType,
+      path: this.attachmentStore.getPath(attachment.hash)
+    }));
+  }
+
+  // Reply-To (or From) of the original; for our own sent mail, its original recipients.
+  // Reply-all adds the other To and Cc addresses, without the account's own.
+  getReplyRecipients(emailDoc, ownAddress, replyAll) {
+    const own = ownAddress.toLowerCase();
+    const to = this.isFromAccount(emailDoc, ownAddress) ? this.parseAddresses(emailDoc.to) : this.parseAddresses(emailDoc.replyTo || emailDoc.from);
+    if (!replyAll) {
+      return { to: to, cc: [] };
+    }
+
+    const seen = new Set(to.map(address => address.toLowerCase()));
+    seen.add(own);
+    const cc = [...this.parseAddresses(emailDoc.to), ...this.parseAddresses(emailDoc.cc)].filter(address => {
+      const key = address.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    return { to: to, cc: cc };
+  }
+
+  isFromAccount(emailDoc, address) {
+    const sender = this.parseAddresses(emailDoc.from);
+    return sender.length > 0 && sender.every(candidate => candidate.toLowerCase() === address.toLowerCase());
+  }
+
+  parseAddresses(value) {
+    return addressparser(value || '', { flatten: true })
+      .map(entry => entry.address)
+      .filter(Boolean);
+  }
+
+  // The original's References followed by its own Message-ID (RFC 5322 3.6.4)
+  getReferences(emailDoc) {
+    const references = [].concat(emailDoc.references || [])
+      .join(' ')
+      .split(/\s+/)
+      .filter(Boolean);
+
+    if (emailDoc.messageId && !references.includes(emailDoc.messageId)) {
+      references.push(emailDoc.messageId);
+    }
+    return references;
+  }
+
+  quoteText(emailDoc) {
+    const quoted = (emailDoc.text || '').split('\n').map(line => `> ${line}`).join('\n');
+    return `On ${moment(emailDoc.date).format('ddd, MMM D, YYYY [at] h:mm A')}, ${emailDoc.from} wrote:\n${quoted}`;
+  }
+
+  forwardText(emailDoc) {
+    return [
+      '---------- Forwarded message ---------',
+      `From: ${emailDoc.from || ''}`,
+      `Date: ${moment(emailDoc.date).format('ddd, MMM D, YYYY [at] h:mm A')}`,
+      `Subject: ${emailDoc.subject || ''}`,
+      `To: ${emailDoc.to || ''}`,
+      ...(emailDoc.cc ? [`Cc: ${emailDoc.cc}`] : []),
+      '',
+      emailDoc.text || ''
+    ].join('\n');
+  }
+
+  forwardHtml(emailDoc) {
+    const headers = [
+      ['From', emailDoc.from],
+      ['Date', moment(emailDoc.date).format('ddd, MMM D, YYYY [at] h:mm A')],
+      ['Subject', emailDoc.subject],
+      ['To', emailDoc.to],
+      ['Cc', emailDoc.cc]
+    ].filter(([, value]) => value).map(([name, value]) => `${name}: ${this.escapeHtml(value)}<br>`).join('');
+    const original = emailDoc.html || `<pre>${this.escapeHtml(emailDoc.text || '')}</pre>`;
+
+    return `<br><div>---------- Forwarded message ---------<br>${headers}</div><br>${original}`;
+  }
+
+  quoteHtml(emailDoc) {
+    const original = emailDoc.html || `<pre>${this.escapeHtml(emailDoc.text || '')}</pre>`;
+    return `<br><div>On ${moment(emailDoc.date).format('ddd, MMM D, YYYY [at] h:mm A')}, ${this.escapeHtml(emailDoc.from || '')} wrote:</div>` +
+      `<blockquote style="margin:0 0 0 .8ex;border-left:1px solid #ccc;padding-left:1ex">${original}</blockquote>`;
+  }
+
+  escapeHtml(value) {
+    return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+}
+
+module.exports = SendService;
@@ -0,0 +1,329 @@
+const addressparser = require('nodemailer/lib/addressparser');
+const moment = require('moment-timezone');
+const { v4: uuidv4 } = require('uuid');
+const winston = require('winston');
+
+// Categories that end a sequence, whether set on an incoming reply or by a user, and the reason recorded
+const STOP_REASONS = {
+  'Not Interested': 'not-interested',
+  'Out of Office': 'out-of-office',
+  'Bounce': 'bounced'
+};
+
+// {{firstName}} or {{firstName|there}}, the part after | being used when the value is empty
+const TEMPLATE_VARIABLE = /\{\{\s*(\w+)\s*(?:\|([^}]*))?\}\}/g;
+
+const FINISHED_STEP_STATUSES = ['sent', 'failed', 'cancelled'];
+
+// Follow-ups on a sent email that go out one after another until the prospect answers. Each step
+// is a reply scheduled in the outbox, so it is sent, retried and reported like any scheduled
+// reply. Any incoming message on the thread stops the sequence and cancels the steps not yet sent.
+class SequenceService {
+  constructor(elasticsearchService, outboxService, sendService, imapSyncService) {
+    this.elasticsearchService = elasticsearchService;
+    this.outboxService = outboxService;
+    this.sendService = sendService;
+    this.imapSyncService = imapSyncService;
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/sequences.log' }),
+        new winston.transports.Console()
+      ]
+    });
+  }
+
+  // Replies fetched by the initial sync count too, so this runs before IMAP starts. Imported
+  // archives do not: an old reply in one must not stop a live sequence.
+  start() {
+    this.imapSyncService.on('email-processed', (emailData, { notify }) => {
+      if (notify) {
+        this.handleEmail(emailData);
+      }
+    });
+  }
+
+  isValidTimeZone(timeZone) {
+    return this.outboxService.isValidTimeZone(timeZone);
+  }
+
+  // `steps` are { delayDays, delayHours, text, html, replyAll, quote }; each delay counts from the
+  // previous step (the first from now). With `sendTime` ("09:00"), every step goes out at that time
+  // of day in `timeZone` (UTC by default) on the day it is due.
+  async create(emailDoc, { steps, sendTime = null, timeZone = null }) {
+    const account = this.sendService.getAccount(emailDoc.email);
+
+    if (!this.sendService.isFromAccount(emailDoc, account.email)) {
+      throw this.createError(422, `Email ${emailDoc.id} was not sent from ${account.email}`);
+    }
+    if (!emailDoc.messageId) {
+      throw this.createError(422, `Email ${emailDoc.id} has no Message-ID to follow up on`);
+    }
+
+    const { hits: active } = await this.elasticsearchService.searchSequences({ emailId: emailDoc.id, status: 'active', size: 1 });
+    if (active.length > 0) {
+      throw this.createError(409, `Email ${emailDoc.id} already has an active sequence (${active[0].id})`);
+    }
+
+    const replies = (await this.elasticsearchService.findThreadReplies(emailDoc.messageId))
+      .filter(reply => !this.sendService.isFromAccount(reply, account.email));
+    if (replies.length > 0) {
+      throw this.createError(409, `${replies[0].from} already replied to email ${emailDoc.id}`);
+    }
+
+    const recipient = addressparser(emailDoc.to || '', { flatten: true })[0] || {};
+    const variables = this.getVariables(emailDoc, recipient);
+    const sendTimes = this.getSendTimes(steps, sendTime, timeZone);
+    const domain = account.email.split('@')[1];
+
+    // Rendered up front so a template error fails before anything is scheduled
+    const messages = steps.map(step => ({
+      text: this.render(step.text, variables),
+      html: step.html ? this.render(step.html, variables, true) : undefined
+    }));
+
+    const sequence = {
+      id: uuidv4(),
+      emailId: emailDoc.id,
+      account: account.email,
+      status: 'active',
+      recipient: recipient.address || null,
+      subject: emailDoc.subject || '',
+      threadMessageIds: [emailDoc.messageId],
+      sendTime: sendTime,
+      timeZone: timeZone,
+      steps: steps.map((step, index) => ({
+        ...step,
+        sendAt: sendTimes[index],
+        // Known before the follow-up goes out, so a reply to it is matched to this sequence
+        messageId: `<${uuidv4()}@${domain}>`
+      })),
+      stopReason: null,
+      stoppedBy: null,
+      stoppedAt: null,
+      createdAt: new Date()
+    };
+    sequence.threadMessageIds.push(...sequence.steps.map(step => step.messageId));
+    await this.elasticsearchService.saveSequence(sequence);
+
+    try {
+      for (const [index, step] of sequence.steps.entries()) {
+        await this.outboxService.schedule('reply', {
+          emailId: emailDoc.id,
+          account: account.email,
+          sendAt: step.sendAt,
+          timeZone: timeZone,
+          text: messages[index].text,
+          html: messages[index].html,
+          replyAll: step.replyAll,
+          quote: step.quote,
+          cc: [],
+          bcc: [],
+          messageId: step.messageId
+        }, [], { sequenceId: sequence.id, step: index });
+      }
+    } catch (error) {
+      await this.stop(sequence, 'cancelled', null);
+      throw error;
+    }
+
+    this.logger.info(`Started sequence ${sequence.id} on ${emailDoc.id} with ${steps.length} follow-ups`);
+    return this.get(sequence.id);
+  }
+
+  async get(id) {
+    const sequence = await this.elasticsearchService.getSequence(id);
+    if (!sequence) {
+      return null;
+    }
+    return this.toPublic(sequence, await this.outboxService.listBySequence([id]));
+  }
+
+  // `completed` is not stored: it is an active sequence with no follow-up left to send,
+  // so it and `active` are told apart by the outbox
+  async list(filters) {
+    if (filters.status === 'active' || filters.status === 'completed') {
+      const pending = await this.elasticsearchService.getPendingSequenceIds();
+      filters = filters.status === 'active'
+        ? { ...filters, ids: pending }
+        : { ...filters, status: 'active', excludeIds: pending };
+    }
+
+    const result = await this.elasticsearchService.searchSequences(filters);
+    const items = result.hits.length > 0
+      ? await this.outboxService.listBySequence(result.hits.map(sequence => sequence.id))
+      : [];
+
+    return {
+      hits: result.hits.map(sequence => this.toPublic(sequence, items.filter(item => item.sequenceId === sequence.id))),
+      total: result.total
+    };
+  }
+
+  // Resolves to the cancelled sequence, or null if it had already stopped
+  async cancel(id) {
+    const sequence = await this.elasticsearchService.getSequence(id);
+    if (!sequence || !await this.stop(sequence, 'cancelled', null)) {
+      return null;
+    }
+    return this.get(id);
+  }
+
+  // Ends the sequence once and cancels its follow-ups that have not gone out yet.
+  // A follow-up already being sent still goes out.
+  async stop(sequence, reason, emailDoc) {
+    const applied = await this.elasticsearchService.transitionSequence(sequence.id, ['active'], {
+      status: reason === 'cancelled' ? 'cancelled' : 'stopped',
+      stopReason: reason,
+      stoppedBy: emailDoc ? {
+        emailId: emailDoc.id,
+        from: emailDoc.from,
+        date: emailDoc.date,
+        category: emailDoc.category || null
+      } : null,
+      stoppedAt: new Date()
+    });
+    if (!applied) {
+      return false;
+    }
+
+    const items = await this.outboxService.listBySequence([sequence.id]);
+    for (const item of items) {
+      if (item.status === 'scheduled' || item.status === 'failed') {
+        await this.outboxService.cancel(item.id);
+      }
+    }
+
+    this.logger.info(`Stopped sequence ${sequence.id} (${reason}${emailDoc ? `, ${emailDoc.id}` : ''})`);
+    return true;
+  }
+
+  // Any new message on a sequence's thread that the sequence's own account did not send stops it
+  async handleEmail(emailData) {
+    try {
+      const threadIds = this.getThreadIds(emailData);
+      if (threadIds.length === 0) {
+        return;
+      }
+
+      const sequences = await this.elasticsearchService.findActiveSequences(threadIds);
+      for (const sequence of sequences) {
+        if (!this.sendService.isFromAccount(emailData, sequence.account)) {
+          await this.stop(sequence, STOP_REASONS[emailData.category] || 'replied', emailData);
+        }
+      }
+    } catch (error) {
+      this.logger.error(`Error checking sequences for ${emailData.id}:`, error);
+    }
+  }
+
+  // A user marking any email on the thread (the sent one included) with one of the stop categories
+  async handleCategory(emailDoc, category) {
+    if (!STOP_REASONS[category]) {
+      return;
+    }
+
+    try {
+      const sequences = await this.elasticsearchService.findActiveSequences([emailDoc.messageId, ...this.getThreadIds(emailDoc)].filter(Boolean));
+      for (const sequence of sequences) {
+        await this.stop(sequence, STOP_REASONS[category], { ...emailDoc, category: category });
+      }
+    } catch (error) {
+      this.logger.error(`Error checking sequences for ${emailDoc.id}:`, error);
+    }
+  }
+
+  toPublic(sequence, items) {
+    const steps = sequence.steps.map((step, index) => {
+      const item = items.find(candidate => candidate.step === index);
+      return {
+        index: index,
+        delayDays: step.delayDays,
+        delayHours: step.delayHours,
+        text: step.text,
+        html: step.html || null,
+        replyAll: step.replyAll,
+        quote: step.quote,
+        // No outbox item means scheduling it failed and the sequence was cancelled
+        status: item ? item.status : 'cancelled',
+        sendAt: item ? item.sendAt : step.sendAt,
+        sentAt: item?.sentAt || null,
+        attempts: item?.attempts || 0,
+        lastError: item?.lastError || null,
+        outboxId: item?.id || null,
+        messageId: step.messageId
+      };
+    });
+
+    const finished = steps.every(step => FINISHED_STEP_STATUSES.includes(step.status));
+    return {
+      ...sequence,
+      status: sequence.status === 'active' && finished ? 'completed' : sequence.status,
+      steps: steps
+    };
+  }
+
+  getSendTimes(steps, sendTime, timeZone) {
+    const times = [];
+    let due = moment.tz(new Date(), timeZone || 'UTC');
+
+    for (const step of steps) {
+      due = due.clone().add(step.delayDays, 'days').add(step.delayHours, 'hours');
+
+      let sendAt = due.clone();
+      if (sendTime) {
+        const [hour, minute] = sendTime.split(':').map(Number);
+        sendAt = due.clone().set({ hour: hour, minute: minute, second: 0, millisecond: 0 });
+        // Never before (or together with) the previous step
+        const previous = times.length > 0 ? moment(times[times.length - 1]) : moment();
+        if (!sendAt.isAfter(previous)) {
+          sendAt.add(1, 'day');
+        }
+      }
+      times.push(sendAt.toDate());
+    }
+    return times;
+  }
+
+  getVariables(emailDoc, recipient) {
+    const name = (recipient.name || '').trim();
+    const [firstName = '', ...rest] = name.split(/\s+/);
+    return {
+      firstName: firstName,
+      lastName: rest.join(' '),
+      name: name,
+      email: recipient.address || '',
+      subject: emailDoc.subject || ''
+    };
+  }
+
+  render(template, variables, html = false) {
+    return template.replace(TEMPLATE_VARIABLE, (match, name, fallback) => {
+      if (!Object.prototype.hasOwnProperty.call(variables, name)) {
+        throw this.createError(422, `Unknown template variable {{${name}}}; use ${Object.keys(variables).join(', ')}`);
+      }
+      const value = variables[name] || (fallback || '').trim();
+      return html ? this.sendService.escapeHtml(value) : value;
+    });
+  }
+
+  // In-Reply-To and References, i.e. the messages this one answers
+  getThreadIds(emailDoc) {
+    return [...new Set([].concat(emailDoc.inReplyTo || [], emailDoc.references || [])
+      .join(' ')
+      .split(/\s+/)
+      .filter(Boolean))];
+  }
+
+  createError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = SequenceService;
@@ -1,5 +1,6 @@
 const axios = require('axios');
 const winston = require('winston');
+const { withRetry } = require('../utils/retry');
 
 class SlackService {
   constructor() {
@@ -26,10 +27,12 @@ class SlackService {
 
       const message = this.buildSlackMessage(emailData);
       
-      const response = await axios.post(this.webhookUrl, message, {
+      const response = await withRetry(() => axios.post(this.webhookUrl, message, {
         headers: {
           'Content-Type': 'application/json'
         }
+      }), {
+        onRetry: (error, attempt, delay) => this.logger.warn(`Retrying Slack notification (attempt ${attempt}, ${delay}ms): ${error.message}`)
       });
 
       if (response.status === 200) {
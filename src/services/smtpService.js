@@ -0,0 +1,103 @@
+const nodemailer = require('nodemailer');
+const MailComposer = require('nodemailer/lib/mail-composer');
+const winston = require('winston');
+
+// Outgoing servers for IMAP hosts whose SMTP host is not simply "smtp." + the rest.
+// These providers also file SMTP submissions in Sent on their own.
+const WELL_KNOWN_SERVERS = {
+  'imap.gmail.com': { host: 'smtp.gmail.com', port: 465, appendToSent: false },
+  'outlook.office365.com': { host: 'smtp.office365.com', port: 587, appendToSent: false },
+  'imap-mail.outlook.com': { host: 'smtp-mail.outlook.com', port: 587, appendToSent: false }
+};
+
+// Sends mail through an account's own SMTP server, with the same password or XOAUTH2 token as its IMAP login
+class SmtpService {
+  constructor(tokenProvider) {
+    this.tokenProvider = tokenProvider;
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/smtp.log' }),
+        new winston.transports.Console()
+      ]
+    });
+  }
+
+  getSettings(account) {
+    const defaults = WELL_KNOWN_SERVERS[account.host.toLowerCase()] || {
+      host: account.host.replace(/^imap\./i, 'smtp.'),
+      port: 465,
+      appendToSent: true
+    };
+    const settings = { ...defaults, ...account.smtp };
+
+    return {
+      ...settings,
+      // Implicit TLS on 465, STARTTLS everywhere else
+      secure: settings.secure ?? settings.port === 465
+    };
+  }
+
+  async createTransport(account, settings) {
+    const user = account.user || account.email;
+    const auth = account.auth.method === 'xoauth2'
+      ? { type: 'OAuth2', user: user, accessToken: await this.tokenProvider.getAccessToken(account) }
+      : { user: user, pass: account.auth.password };
+
+    return nodemailer.createTransport({
+      host: settings.host,
+      port: settings.port,
+      secure: settings.secure,
+      auth: auth,
+      tls: { servername: settings.host }
+    });
+  }
+
+  // Nodemailer message options -> { raw, messageId, envelope }
+  async compile(mail) {
+    // CRLF throughout: SMTP would convert bare newlines on the way out, IMAP APPEND does not
+    const message = new MailComposer({ ...mail, newline: 'windows' }).compile();
+    return {
+      raw: await message.build(),
+      messageId: message.messageId(),
+      envelope: message.getEnvelope()
+    };
+  }
+
+  // Builds the message once so the copy filed in Sent is byte for byte what was sent.
+  // Resolves to { raw, messageId, envelope, response }.
+  async send(account, mail) {
+    const settings = this.getSettings(account);
+    const { raw, messageId, envelope } = await this.compile(mail);
+    const transport = await this.createTransport(account, settings);
+
+    try {
+      const info = await transport.sendMail({ envelope: envelope, raw: raw });
+      this.logger.info(`Sent ${messageId} from ${account.email} to ${envelope.to.join(', ')}`);
+
+      return {
+        raw: raw,
+        messageId: messageId,
+        envelope: envelope,
+        response: info.response
+      };
+
+    } catch (error) {
+      this.logger.error(`Error sending from ${account.email} via ${settings.host}:`, error);
+      if (error.code === 'EAUTH' && account.auth.method === 'xoauth2') {
+        this.tokenProvider.invalidate(account.email);
+      }
+      // Rejected by (or could not reach) the account's server rather than failing here
+      error.statusCode = 502;
+      throw error;
+    } finally {
+      transport.close();
+    }
+  }
+}
+
+module.exports = SmtpService;
@@ -170,11 +170,34 @@ class VectorDatabaseService {
     }
   }
 
+  async deleteEmailContexts(emailIds) {
+    try {
+      if (!this.qdrant.isReady()) {
+        return false;
+      }
+
+      await this.qdrant.deleteByFilter({
+        must: [
+          { key: 'type', match: { value: 'email_context' } },
+          { key: 'emailId', match: { any: emailIds } }
+        ]
+      });
+
+      this.logger.info(`Deleted email context for ${emailIds.length} emails`);
+      return true;
+
+    } catch (error) {
+      this.logger.error('Error deleting email context:', error);
+      return false;
+    }
+  }
+
   async findRelevantTrainingData(emailContent, topK = 3) {
     try {
       const similarContent = await this.searchSimilarContent(emailContent, topK);
       
       return similarContent.map(item => ({
+        id: item.id,
         content: item.content,
         category: item.category,
         relevanceScore: item.score
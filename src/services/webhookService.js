@@ -1,5 +1,6 @@
 const axios = require('axios');
 const winston = require('winston');
+const { withRetry } = require('../utils/retry');
 
 class WebhookService {
   constructor() {
@@ -26,12 +27,14 @@ class WebhookService {
 
       const payload = this.buildWebhookPayload(emailData);
       
-      const response = await axios.post(this.webhookUrl, payload, {
+      const response = await withRetry(() => axios.post(this.webhookUrl, payload, {
         headers: {
           'Content-Type': 'application/json',
           'User-Agent': 'Reachinbox-Webhook/1.0'
         },
         timeout: 10000 // 10 second timeout
+      }), {
+        onRetry: (error, attempt, delay) => this.logger.warn(`Retrying webhook (attempt ${attempt}, ${delay}ms): ${error.message}`)
       });
 
       if (response.status >= 200 && response.status < 300) {
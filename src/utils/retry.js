@@ -0,0 +1,54 @@
+const TRANSIENT_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND'];
+
+const DEFAULT_RETRIES = parseInt(process.env.INGEST_RETRIES) || 3;
+const DEFAULT_BASE_DELAY = parseInt(process.env.INGEST_RETRY_BASE_DELAY) || 500;
+const MAX_DELAY = 30000;
+
+// HTTP status of an axios, OpenAI or Elasticsearch error
+function getStatus(error) {
+  return error.response?.status || error.status || error.statusCode || error.meta?.statusCode || null;
+}
+
+// Rate limits, server errors and dropped connections are worth another try; anything else is not
+function isTransientError(error) {
+  const status = getStatus(error);
+  if (status) {
+    return status === 408 || status === 429 || status >= 500;
+  }
+  return TRANSIENT_CODES.includes(error.code) ||
+    ['ConnectionError', 'TimeoutError', 'APIConnectionError', 'APIConnectionTimeoutError'].includes(error.name || error.constructor?.name);
+}
+
+// Server-requested wait from a Retry-After header, in ms
+function getRetryAfter(error) {
+  const headers = error.response?.headers || error.headers || error.meta?.headers || {};
+  const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  return Number.isFinite(seconds) ? seconds * 1000 : Math.max(0, new Date(value).getTime() - Date.now()) || null;
+}
+
+// Runs fn, retrying transient failures with jittered exponential backoff
+async function withRetry(fn, { retries = DEFAULT_RETRIES, baseDelay = DEFAULT_BASE_DELAY, onRetry } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isTransientError(error)) {
+        throw error;
+      }
+      const backoff = Math.min(MAX_DELAY, baseDelay * 2 ** attempt);
+      const delay = Math.min(MAX_DELAY, getRetryAfter(error) || Math.round(backoff / 2 + Math.random() * backoff / 2));
+      if (onRetry) onRetry(error, attempt + 1, delay);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+module.exports = {
+  withRetry,
+  isTransientError,
+  getStatus
+};
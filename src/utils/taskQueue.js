@@ -0,0 +1,52 @@
+// FIFO queue that runs at most `concurrency` tasks at a time and counts what went through it
+class TaskQueue {
+  constructor(name, concurrency) {
+    this.name = name;
+    this.concurrency = Math.max(1, concurrency);
+    this.tasks = [];
+    this.running = 0;
+    this.processed = 0;
+    this.failed = 0;
+  }
+
+  // Resolves or rejects with the task's own result once it has run
+  push(task) {
+    return new Promise((resolve, reject) => {
+      this.tasks.push({ task, resolve, reject });
+      this.next();
+    });
+  }
+
+  next() {
+    while (this.running < this.concurrency && this.tasks.length > 0) {
+      const { task, resolve, reject } = this.tasks.shift();
+      this.running++;
+
+      Promise.resolve()
+        .then(task)
+        .then(result => {
+          this.processed++;
+          resolve(result);
+        }, error => {
+          this.failed++;
+          reject(error);
+        })
+        .finally(() => {
+          this.running--;
+          this.next();
+        });
+    }
+  }
+
+  getMetrics() {
+    return {
+      concurrency: this.concurrency,
+      queued: this.tasks.length,
+      running: this.running,
+      processed: this.processed,
+      failed: this.failed
+    };
+  }
+}
+
+module.exports = TaskQueue;